@@ -36,11 +36,20 @@ class BudgetApp {
         
         // Initialize chart reference
         this.chart = null;
+
+        // Aggregation index, built on first use (see getAggregateIndex)
+        this.aggregateIndex = null;
+
+        // All Transactions list state; rows are built a page at a time
+        this.TRANSACTION_PAGE_SIZE = 50;
+        this.transactionList = null;
         
         // Supabase integration
         this.supabaseSync = null;
         this.cloudSyncEnabled = false;
         this.lastCloudSync = null;
+        this.cloudSyncRunning = false;
+        this.cloudSyncQueued = false;
         
         // Initialize data and UI asynchronously to prevent blocking
         this.initializeAsync();
@@ -58,6 +67,9 @@ class BudgetApp {
             // Initialize data first
             await this.initializeDataAsync();
             
+            // Post any recurring transactions that came due since the last visit
+            this.applyRecurringTransactions();
+            
             // Initialize Supabase cloud sync
             await this.initializeSupabaseSync();
             
@@ -198,7 +210,7 @@ class BudgetApp {
                 console.log('Migrating data from sessionStorage to localStorage...');
                 
                 // Migrate all data
-                const keys = ['budgetApp_transactions', 'budgetApp_budgets', 'budgetApp_settings', 'budgetApp_categories'];
+                const keys = ['budgetApp_transactions', 'budgetApp_budgets', 'budgetApp_settings', 'budgetApp_categories', 'budgetApp_recurring', 'budgetApp_goals', 'budgetApp_accounts', 'budgetApp_importMappings', 'budgetApp_rules', 'budgetApp_exchangeRates', 'budgetApp_envelopes', 'budgetApp_templates'];
                 for (const key of keys) {
                     const sessionData = sessionStorage.getItem(key);
                     if (sessionData) {
@@ -230,7 +242,7 @@ class BudgetApp {
                 console.log('Migrating data from sessionStorage to localStorage...');
                 
                 // Migrate all data
-                const keys = ['budgetApp_transactions', 'budgetApp_budgets', 'budgetApp_settings', 'budgetApp_categories'];
+                const keys = ['budgetApp_transactions', 'budgetApp_budgets', 'budgetApp_settings', 'budgetApp_categories', 'budgetApp_recurring', 'budgetApp_goals', 'budgetApp_accounts', 'budgetApp_importMappings', 'budgetApp_rules', 'budgetApp_exchangeRates', 'budgetApp_envelopes', 'budgetApp_templates'];
                 for (const key of keys) {
                     const sessionData = sessionStorage.getItem(key);
                     if (sessionData) {
@@ -319,6 +331,14 @@ class BudgetApp {
         this.budgets = {};
         this.settings = {};
         this.categories = {};
+        this.recurringRules = [];
+        this.goals = [];
+        this.accounts = [];
+        this.importMappings = [];
+        this.categoryRules = [];
+        this.exchangeRates = [];
+        this.envelopeMoves = [];
+        this.budgetTemplates = [];
         
         // Reload with fresh parsing
         this.initializeData();
@@ -364,6 +384,15 @@ class BudgetApp {
     initializeDefaultData() {
         this.transactions = [];
         this.budgets = {};
+        this.recurringRules = [];
+        this.goals = [];
+        this.accounts = [];
+        this.importMappings = [];
+        this.categoryRules = [];
+        this.exchangeRates = [];
+        this.envelopeMoves = [];
+        this.budgetTemplates = [];
+        this.ensureDefaultAccount();
         this.settings = {
             lowBalanceThreshold: 100,
             overspendingAlert: 80,
@@ -389,6 +418,39 @@ class BudgetApp {
             const budgetsData = storage.getItem('budgetApp_budgets');
             this.budgets = budgetsData ? JSON.parse(budgetsData) : {};
             
+            // Load recurring transaction rules
+            const recurringData = storage.getItem('budgetApp_recurring');
+            this.recurringRules = recurringData ? JSON.parse(recurringData) : [];
+            
+            // Load savings goals
+            const goalsData = storage.getItem('budgetApp_goals');
+            this.goals = goalsData ? JSON.parse(goalsData) : [];
+            
+            // Load accounts (transactions without an accountId belong to the first account)
+            const accountsData = storage.getItem('budgetApp_accounts');
+            this.accounts = accountsData ? JSON.parse(accountsData) : [];
+            this.ensureDefaultAccount();
+            
+            // Load saved CSV column mappings per bank
+            const mappingsData = storage.getItem('budgetApp_importMappings');
+            this.importMappings = mappingsData ? JSON.parse(mappingsData) : [];
+            
+            // Load auto-categorization rules
+            const rulesData = storage.getItem('budgetApp_rules');
+            this.categoryRules = rulesData ? JSON.parse(rulesData) : [];
+            
+            // Load the exchange rate table
+            const ratesData = storage.getItem('budgetApp_exchangeRates');
+            this.exchangeRates = ratesData ? JSON.parse(ratesData) : [];
+            
+            // Load envelope assignments and moves
+            const envelopesData = storage.getItem('budgetApp_envelopes');
+            this.envelopeMoves = envelopesData ? JSON.parse(envelopesData) : [];
+            
+            // Load saved budget templates
+            const templatesData = storage.getItem('budgetApp_templates');
+            this.budgetTemplates = templatesData ? JSON.parse(templatesData) : [];
+            
             // Load settings
             const settingsData = storage.getItem('budgetApp_settings');
             this.settings = settingsData ? JSON.parse(settingsData) : {
@@ -407,6 +469,9 @@ class BudgetApp {
             console.log('Data loaded from localStorage:', {
                 transactions: this.transactions.length,
                 budgets: Object.keys(this.budgets).length,
+                recurringRules: this.recurringRules.length,
+                goals: this.goals.length,
+                accounts: this.accounts.length,
                 isMobile: this.isMobile,
                 lastSave: storage.getItem('budgetApp_lastSave')
             });
@@ -431,8 +496,8 @@ class BudgetApp {
         }
     }
 
-    // Save data to storage
-    saveData() {
+    // Save data to storage (and to the cloud unless `sync` is false)
+    saveData({ sync = true } = {}) {
         try {
             // Always use localStorage for consistency between mobile and desktop
             const storage = localStorage;
@@ -441,6 +506,14 @@ class BudgetApp {
             storage.setItem('budgetApp_budgets', JSON.stringify(this.budgets));
             storage.setItem('budgetApp_settings', JSON.stringify(this.settings));
             storage.setItem('budgetApp_categories', JSON.stringify(this.categories));
+            storage.setItem('budgetApp_recurring', JSON.stringify(this.recurringRules || []));
+            storage.setItem('budgetApp_goals', JSON.stringify(this.goals || []));
+            storage.setItem('budgetApp_accounts', JSON.stringify(this.accounts || []));
+            storage.setItem('budgetApp_importMappings', JSON.stringify(this.importMappings || []));
+            storage.setItem('budgetApp_rules', JSON.stringify(this.categoryRules || []));
+            storage.setItem('budgetApp_exchangeRates', JSON.stringify(this.exchangeRates || []));
+            storage.setItem('budgetApp_envelopes', JSON.stringify(this.envelopeMoves || []));
+            storage.setItem('budgetApp_templates', JSON.stringify(this.budgetTemplates || []));
             
             console.log('Data saved to localStorage (mobile:', this.isMobile, ')');
             
@@ -453,7 +526,7 @@ class BudgetApp {
             }
             
             // Trigger cloud sync if enabled (async, don't wait)
-            if (this.cloudSyncEnabled && this.supabaseSync) {
+            if (sync && this.cloudSyncEnabled && this.supabaseSync) {
                 this.performCloudSync().catch(error => {
                     console.error('Background cloud sync failed:', error);
                 });
@@ -467,6 +540,14 @@ class BudgetApp {
                 sessionStorage.setItem('budgetApp_budgets', JSON.stringify(this.budgets));
                 sessionStorage.setItem('budgetApp_settings', JSON.stringify(this.settings));
                 sessionStorage.setItem('budgetApp_categories', JSON.stringify(this.categories));
+                sessionStorage.setItem('budgetApp_recurring', JSON.stringify(this.recurringRules || []));
+                sessionStorage.setItem('budgetApp_goals', JSON.stringify(this.goals || []));
+                sessionStorage.setItem('budgetApp_accounts', JSON.stringify(this.accounts || []));
+                sessionStorage.setItem('budgetApp_importMappings', JSON.stringify(this.importMappings || []));
+                sessionStorage.setItem('budgetApp_rules', JSON.stringify(this.categoryRules || []));
+                sessionStorage.setItem('budgetApp_exchangeRates', JSON.stringify(this.exchangeRates || []));
+                sessionStorage.setItem('budgetApp_envelopes', JSON.stringify(this.envelopeMoves || []));
+                sessionStorage.setItem('budgetApp_templates', JSON.stringify(this.budgetTemplates || []));
                 console.log('Fallback: Data saved to sessionStorage');
                 
                 // Update sync status for fallback
@@ -542,7 +623,11 @@ class BudgetApp {
         if (transactionForm) {
             transactionForm.addEventListener('submit', (e) => {
                 e.preventDefault();
-                this.addTransaction();
+                if (this.editingTransactionId) {
+                    this.updateTransaction();
+                } else {
+                    this.addTransaction();
+                }
             });
         }
 
@@ -579,6 +664,288 @@ class BudgetApp {
             });
         }
 
+        const budgetPeriod = document.getElementById('budgetPeriod');
+        if (budgetPeriod) {
+            budgetPeriod.addEventListener('change', () => this.updateBudgetPeriodFields());
+        }
+
+        const cancelBudgetEdit = document.getElementById('cancelBudgetEdit');
+        if (cancelBudgetEdit) {
+            cancelBudgetEdit.addEventListener('click', () => this.resetBudgetForm());
+        }
+
+        // Recurring transactions
+        const recurringForm = document.getElementById('recurringForm');
+        if (recurringForm) {
+            recurringForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveRecurringRule();
+            });
+        }
+
+        const recurringType = document.getElementById('recurringType');
+        if (recurringType) {
+            recurringType.addEventListener('change', (e) => {
+                this.populateRecurringCategories(e.target.value);
+            });
+        }
+
+        ['recurringFrequency', 'recurringEndType'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('change', () => this.updateRecurringFormFields());
+            }
+        });
+
+        const cancelRecurringEdit = document.getElementById('cancelRecurringEdit');
+        if (cancelRecurringEdit) {
+            cancelRecurringEdit.addEventListener('click', () => this.resetRecurringForm());
+        }
+
+        const saveRecurringInstance = document.getElementById('saveRecurringInstance');
+        if (saveRecurringInstance) {
+            saveRecurringInstance.addEventListener('click', () => this.saveRecurringInstance());
+        }
+
+        const cancelRecurringInstance = document.getElementById('cancelRecurringInstance');
+        if (cancelRecurringInstance) {
+            cancelRecurringInstance.addEventListener('click', () => this.hideRecurringInstanceEditor());
+        }
+
+        // Statement import
+        ['csvDateColumn', 'csvDescriptionColumn', 'csvAmountMode', 'csvAmountColumn', 'csvDebitColumn',
+         'csvCreditColumn', 'csvDateFormat', 'csvDecimalSeparator', 'csvInvertAmounts'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('change', () => {
+                    this.updateCsvAmountFields();
+                    this.previewCsvImport();
+                });
+            }
+        });
+
+        const csvSavedMapping = document.getElementById('csvSavedMapping');
+        if (csvSavedMapping) {
+            csvSavedMapping.addEventListener('change', (e) => this.selectSavedCsvMapping(e.target.value));
+        }
+
+        const saveCsvMappingBtn = document.getElementById('saveCsvMappingBtn');
+        if (saveCsvMappingBtn) {
+            saveCsvMappingBtn.addEventListener('click', () => this.saveCsvMapping());
+        }
+
+        const confirmImportBtn = document.getElementById('confirmImportBtn');
+        if (confirmImportBtn) {
+            confirmImportBtn.addEventListener('click', () => this.commitStatementImport());
+        }
+
+        const importAccount = document.getElementById('importAccount');
+        if (importAccount) {
+            importAccount.addEventListener('change', () => {
+                if (this.pendingImport) this.showImportPreview(this.pendingImport);
+            });
+        }
+
+        const cancelImportBtn = document.getElementById('cancelImportBtn');
+        if (cancelImportBtn) {
+            cancelImportBtn.addEventListener('click', () => this.closeStatementImport());
+        }
+
+        // Currencies and exchange rates
+        const manageRatesBtn = document.getElementById('manageRatesBtn');
+        if (manageRatesBtn) {
+            manageRatesBtn.addEventListener('click', () => this.openRatesModal());
+        }
+
+        const saveBaseCurrencyBtn = document.getElementById('saveBaseCurrencyBtn');
+        if (saveBaseCurrencyBtn) {
+            saveBaseCurrencyBtn.addEventListener('click', () => this.saveBaseCurrency());
+        }
+
+        const rateForm = document.getElementById('rateForm');
+        if (rateForm) {
+            rateForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveExchangeRate();
+            });
+        }
+
+        const importRatesBtn = document.getElementById('importRatesBtn');
+        const ratesFileInput = document.getElementById('ratesFileInput');
+        if (importRatesBtn && ratesFileInput) {
+            importRatesBtn.addEventListener('click', () => ratesFileInput.click());
+            ratesFileInput.addEventListener('change', (e) => this.importExchangeRates(e));
+        }
+
+        // Categorization rules
+        const manageRulesBtn = document.getElementById('manageRulesBtn');
+        if (manageRulesBtn) {
+            manageRulesBtn.addEventListener('click', () => this.openRulesModal());
+        }
+
+        const ruleForm = document.getElementById('ruleForm');
+        if (ruleForm) {
+            ruleForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveCategoryRule();
+            });
+        }
+
+        const ruleType = document.getElementById('ruleType');
+        if (ruleType) {
+            ruleType.addEventListener('change', (e) => this.populateRuleCategories(e.target.value));
+        }
+
+        const cancelRuleEdit = document.getElementById('cancelRuleEdit');
+        if (cancelRuleEdit) {
+            cancelRuleEdit.addEventListener('click', () => this.resetRuleForm());
+        }
+
+        const learnRulesBtn = document.getElementById('learnRulesBtn');
+        if (learnRulesBtn) {
+            learnRulesBtn.addEventListener('click', () => this.showRuleSuggestions());
+        }
+
+        // Transaction filters and saved filters
+        ['filterCategory', 'filterType', 'filterDateFrom', 'filterDateTo', 'filterAccount', 'filterTag',
+            'filterAmountMin', 'filterAmountMax', 'filterAmountExact', 'filterSort'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('change', () => this.filterTransactions());
+            }
+        });
+
+        const allTransactionsList = document.getElementById('allTransactionsList');
+        if (allTransactionsList) {
+            // Load the next page as the list nears the bottom
+            allTransactionsList.addEventListener('scroll', () => {
+                if (allTransactionsList.scrollTop + allTransactionsList.clientHeight >= allTransactionsList.scrollHeight - 200) {
+                    this.renderTransactionListPage();
+                }
+            });
+        }
+
+        const filterSearch = document.getElementById('filterSearch');
+        if (filterSearch) {
+            filterSearch.addEventListener('input', () => this.filterTransactions());
+        }
+
+        const filterPreset = document.getElementById('filterPreset');
+        if (filterPreset) {
+            filterPreset.addEventListener('change', () => this.applyFilterPreset(filterPreset.value));
+        }
+
+        const saveFilterPresetBtn = document.getElementById('saveFilterPresetBtn');
+        if (saveFilterPresetBtn) {
+            saveFilterPresetBtn.addEventListener('click', () => this.saveFilterPreset());
+        }
+
+        const deleteFilterPresetBtn = document.getElementById('deleteFilterPresetBtn');
+        if (deleteFilterPresetBtn) {
+            deleteFilterPresetBtn.addEventListener('click', () => this.deleteFilterPreset());
+        }
+
+        const clearFiltersBtn = document.getElementById('clearFiltersBtn');
+        if (clearFiltersBtn) {
+            clearFiltersBtn.addEventListener('click', () => this.clearTransactionFilters());
+        }
+
+        // Exports
+        const exportCsvBtn = document.getElementById('exportCsvBtn');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => this.exportTransactionsCsv('csv'));
+        }
+
+        const exportTsvBtn = document.getElementById('exportTsvBtn');
+        if (exportTsvBtn) {
+            exportTsvBtn.addEventListener('click', () => this.exportTransactionsCsv('tsv'));
+        }
+
+        const exportBudgetsBtn = document.getElementById('exportBudgetsBtn');
+        if (exportBudgetsBtn) {
+            exportBudgetsBtn.addEventListener('click', () => this.exportBudgetsCsv());
+        }
+
+        const exportSummaryBtn = document.getElementById('exportSummaryBtn');
+        if (exportSummaryBtn) {
+            exportSummaryBtn.addEventListener('click', () => this.exportMonthlySummaryCsv());
+        }
+
+        // Monthly statement
+        const statementBtn = document.getElementById('statementBtn');
+        if (statementBtn) {
+            statementBtn.addEventListener('click', () => this.openStatementModal());
+        }
+
+        const statementMonth = document.getElementById('statementMonth');
+        if (statementMonth) {
+            statementMonth.addEventListener('change', () => this.renderMonthlyStatement());
+        }
+
+        const printStatementBtn = document.getElementById('printStatementBtn');
+        if (printStatementBtn) {
+            printStatementBtn.addEventListener('click', () => this.printMonthlyStatement());
+        }
+
+        // Cash-flow forecast
+        const forecastBtn = document.getElementById('forecastBtn');
+        if (forecastBtn) {
+            forecastBtn.addEventListener('click', () => this.openForecastModal());
+        }
+
+        const forecastDays = document.getElementById('forecastDays');
+        if (forecastDays) {
+            forecastDays.addEventListener('change', () => this.updateForecast());
+        }
+
+        // Accounts
+        const manageAccountsBtn = document.getElementById('manageAccountsBtn');
+        if (manageAccountsBtn) {
+            manageAccountsBtn.addEventListener('click', () => this.openAccountsModal());
+        }
+
+        const accountForm = document.getElementById('accountForm');
+        if (accountForm) {
+            accountForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveAccount();
+            });
+        }
+
+        const cancelAccountEdit = document.getElementById('cancelAccountEdit');
+        if (cancelAccountEdit) {
+            cancelAccountEdit.addEventListener('click', () => this.resetAccountForm());
+        }
+
+        // Savings goals
+        const manageGoalsBtn = document.getElementById('manageGoalsBtn');
+        if (manageGoalsBtn) {
+            manageGoalsBtn.addEventListener('click', () => this.openGoalsModal());
+        }
+
+        const goalForm = document.getElementById('goalForm');
+        if (goalForm) {
+            goalForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveGoal();
+            });
+        }
+
+        const cancelGoalEdit = document.getElementById('cancelGoalEdit');
+        if (cancelGoalEdit) {
+            cancelGoalEdit.addEventListener('click', () => this.resetGoalForm());
+        }
+
+        const saveGoalContribution = document.getElementById('saveGoalContribution');
+        if (saveGoalContribution) {
+            saveGoalContribution.addEventListener('click', () => this.saveGoalContribution());
+        }
+
+        const cancelGoalContribution = document.getElementById('cancelGoalContribution');
+        if (cancelGoalContribution) {
+            cancelGoalContribution.addEventListener('click', () => this.hideGoalContributionForm());
+        }
+
         // Modal close buttons
         document.querySelectorAll('.close-btn').forEach(closeBtn => {
             closeBtn.addEventListener('click', (e) => {
@@ -597,31 +964,171 @@ class BudgetApp {
         const transactionType = document.getElementById('transactionType');
         if (transactionType) {
             transactionType.addEventListener('change', (e) => {
-                this.updateCategoriesForType(e.target.value);
+                this.updateTransactionTypeFields(e.target.value);
+                this.categoryPickedByHand = false;
+                this.applyCategorySuggestion();
+            });
+        }
+
+        // Suggest a category from rules and history while the form is filled in
+        ['transactionDescription', 'transactionAmount', 'transactionAccount'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener(id === 'transactionAccount' ? 'change' : 'input', () => this.applyCategorySuggestion());
+            }
+        });
+
+        const transactionAccount = document.getElementById('transactionAccount');
+        if (transactionAccount) {
+            transactionAccount.addEventListener('change', () => this.setTransactionCurrencyFromAccount());
+        }
+
+        const splitTransactionBtn = document.getElementById('splitTransactionBtn');
+        if (splitTransactionBtn) {
+            splitTransactionBtn.addEventListener('click', () => this.toggleSplitMode(true));
+        }
+
+        const addSplitLineBtn = document.getElementById('addSplitLineBtn');
+        if (addSplitLineBtn) {
+            addSplitLineBtn.addEventListener('click', () => this.addSplitLine());
+        }
+
+        const cancelSplitBtn = document.getElementById('cancelSplitBtn');
+        if (cancelSplitBtn) {
+            cancelSplitBtn.addEventListener('click', () => this.toggleSplitMode(false));
+        }
+
+        const transactionAmount = document.getElementById('transactionAmount');
+        if (transactionAmount) {
+            transactionAmount.addEventListener('input', () => this.updateSplitRemaining());
+        }
+
+        const transactionCategory = document.getElementById('transactionCategory');
+        if (transactionCategory) {
+            transactionCategory.addEventListener('change', () => {
+                this.categoryPickedByHand = true;
+                const hint = document.getElementById('transactionCategoryHint');
+                if (hint) hint.textContent = '';
             });
         }
 
         // Main buttons
         const addTransactionBtn = document.getElementById('addTransactionBtn');
         if (addTransactionBtn) {
-            addTransactionBtn.addEventListener('click', () => this.openModal('transactionModal'));
+            addTransactionBtn.addEventListener('click', () => this.openTransactionModal());
         }
 
         const manageBudgetsBtn = document.getElementById('manageBudgetsBtn');
         if (manageBudgetsBtn) {
-            manageBudgetsBtn.addEventListener('click', () => this.openModal('budgetModal'));
+            manageBudgetsBtn.addEventListener('click', () => this.openBudgetModal());
+        }
+
+        const openTemplatesBtn = document.getElementById('openTemplatesBtn');
+        if (openTemplatesBtn) {
+            openTemplatesBtn.addEventListener('click', () => this.openTemplateModal());
+        }
+
+        ['templateSelect', 'templateIncome'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener(id === 'templateIncome' ? 'input' : 'change', () => this.previewBudgetTemplate());
+            }
+        });
+
+        const useAverageIncomeBtn = document.getElementById('useAverageIncomeBtn');
+        if (useAverageIncomeBtn) {
+            useAverageIncomeBtn.addEventListener('click', () => {
+                document.getElementById('templateIncome').value = this.getAverageMonthlyIncome().toFixed(2);
+                this.previewBudgetTemplate();
+            });
+        }
+
+        const applyTemplateBtn = document.getElementById('applyTemplateBtn');
+        if (applyTemplateBtn) {
+            applyTemplateBtn.addEventListener('click', () => this.applyBudgetTemplate());
+        }
+
+        const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+        if (saveTemplateBtn) {
+            saveTemplateBtn.addEventListener('click', () => this.saveBudgetTemplate());
+        }
+
+        const deleteTemplateBtn = document.getElementById('deleteTemplateBtn');
+        if (deleteTemplateBtn) {
+            deleteTemplateBtn.addEventListener('click', () => this.deleteBudgetTemplate());
+        }
+
+        ['dashboardPeriod', 'dashboardFrom', 'dashboardTo'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('change', () => this.saveDashboardPeriod());
+            }
+        });
+
+        const trendRange = document.getElementById('trendRange');
+        if (trendRange) {
+            trendRange.addEventListener('change', () => this.updateTrendRangeFields());
+        }
+
+        ['trendView', 'trendFrom', 'trendTo'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('change', () => this.updateTrendsChart());
+            }
+        });
+
+        const budgetHistoryBtn = document.getElementById('budgetHistoryBtn');
+        if (budgetHistoryBtn) {
+            budgetHistoryBtn.addEventListener('click', () => this.openBudgetHistoryModal());
+        }
+
+        ['historyCategory', 'historyDateFrom', 'historyDateTo'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('change', () => this.updateBudgetHistory());
+            }
+        });
+
+        const assignMoneyBtn = document.getElementById('assignMoneyBtn');
+        if (assignMoneyBtn) {
+            assignMoneyBtn.addEventListener('click', () => this.openEnvelopeModal());
+        }
+
+        const envelopeForm = document.getElementById('envelopeForm');
+        if (envelopeForm) {
+            envelopeForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveEnvelopeMove();
+            });
         }
 
         const settingsBtn = document.getElementById('settingsBtn');
         if (settingsBtn) {
-            settingsBtn.addEventListener('click', () => this.openModal('settingsModal'));
+            settingsBtn.addEventListener('click', () => this.openSettingsModal());
+        }
+
+        const saveSettingsBtn = document.getElementById('saveSettings');
+        if (saveSettingsBtn) {
+            saveSettingsBtn.addEventListener('click', () => this.saveSettings());
         }
 
+        ['settingsLocale', 'settingsCurrency', 'settingsDateFormat'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener(id === 'settingsCurrency' ? 'input' : 'change', () => this.updateFormatPreview());
+            }
+        });
+
         const viewAllTransactionsBtn = document.getElementById('viewAllTransactionsBtn');
         if (viewAllTransactionsBtn) {
             viewAllTransactionsBtn.addEventListener('click', () => this.openModal('allTransactionsModal'));
         }
 
+        const recurringBtn = document.getElementById('recurringBtn');
+        if (recurringBtn) {
+            recurringBtn.addEventListener('click', () => this.openRecurringModal());
+        }
+
         // Sync buttons - Updated to use debug methods
         const mobileSyncBtn = document.getElementById('mobileSyncBtn');
         if (mobileSyncBtn) {
@@ -781,63 +1288,402 @@ class BudgetApp {
         this.populateBudgetCategories();
     }
 
-    // Calculate balance
-    calculateBalance() {
-        const income = this.transactions
-            .filter(t => t.type === 'income')
-            .reduce((sum, t) => sum + t.amount, 0);
+    // Totals by month, day and category (plus account balances), built once and then kept up to date
+    // on add/edit/delete so dashboard figures don't rescan every transaction
+    getAggregateIndex() {
+        // Replaced or appended transactions and a new base currency are caught here; account and
+        // exchange-rate edits call invalidateAggregateIndex() themselves
+        const current = this.aggregateIndex;
+        if (!current || current.source !== this.transactions || current.count !== this.transactions.length ||
+            current.baseCurrency !== this.getBaseCurrency()) {
+            const index = {
+                ...this.createAggregateBucket(),
+                source: this.transactions,
+                count: this.transactions.length,
+                baseCurrency: this.getBaseCurrency(),
+                accounts: {},
+                months: {},
+                ranges: new Map()
+            };
+            this.aggregateIndex = index;
+            this.transactions.forEach(t => this.indexTransaction(t, 1, index));
+        }
+        return this.aggregateIndex;
+    }
+
+    // Empty income/expense/spending-by-category totals; discretionary is expense not from a recurring item
+    createAggregateBucket() {
+        return { income: 0, expense: 0, discretionary: 0, count: 0, spending: {} };
+    }
+
+    // Add a bucket's totals into another
+    addAggregateBucket(totals, bucket, sign = 1) {
+        totals.income += sign * bucket.income;
+        totals.expense += sign * bucket.expense;
+        totals.discretionary += sign * bucket.discretionary;
+        totals.count += sign * bucket.count;
+        Object.entries(bucket.spending).forEach(([category, amount]) => {
+            totals.spending[category] = (totals.spending[category] || 0) + sign * amount;
+        });
+    }
+
+    // Add (sign 1) or take away (sign -1) one transaction from the index
+    indexTransaction(transaction, sign, index) {
+        const addToAccount = (accountId, direction) => {
+            const account = (this.accounts || []).find(a => a.id === accountId);
+            if (!account) return;
+            const amount = this.convertAmount(transaction.amount, this.getTransactionCurrency(transaction),
+                account.currency || this.getBaseCurrency(), transaction.date);
+            index.accounts[accountId] = (index.accounts[accountId] || 0) + sign * direction * amount;
+        };
+
+        if (transaction.type === 'transfer') {
+            addToAccount(this.getTransactionAccountId(transaction), -1);
+            addToAccount(transaction.toAccountId, 1);
+            return;
+        }
+        addToAccount(this.getTransactionAccountId(transaction), transaction.type === 'income' ? 1 : -1);
+
+        const change = this.createAggregateBucket();
+        change.count = 1;
+        if (transaction.type === 'income') {
+            change.income = this.toBaseAmount(transaction);
+        } else if (transaction.type === 'expense') {
+            change.expense = this.toBaseAmount(transaction);
+            if (!transaction.recurringId) change.discretionary = change.expense;
+            this.getCategoryPortions(transaction).forEach(portion => {
+                change.spending[portion.category] = (change.spending[portion.category] || 0) + portion.amount;
+            });
+        }
+
+        const monthKey = (transaction.date || '').slice(0, 7);
+        const month = index.months[monthKey] || (index.months[monthKey] = { ...this.createAggregateBucket(), days: {} });
+        const day = month.days[transaction.date] || (month.days[transaction.date] = this.createAggregateBucket());
+        [index, month, day].forEach(bucket => this.addAggregateBucket(bucket, change, sign));
+    }
+
+    // Apply an add, edit or delete to the index in place; `previous` is the transactions array before the change
+    updateAggregateIndex(removed, added, previous = this.transactions) {
+        const index = this.aggregateIndex;
+        if (!index) return;
+
+        // An index that was already behind is rebuilt on next use rather than patched
+        if (index.source !== previous || index.count - (removed ? 1 : 0) + (added ? 1 : 0) !== this.transactions.length) {
+            this.invalidateAggregateIndex();
+            return;
+        }
+
+        if (removed) this.indexTransaction(removed, -1, index);
+        if (added) this.indexTransaction(added, 1, index);
+        index.source = this.transactions;
+        index.count = this.transactions.length;
+        index.ranges.clear();
+    }
+
+    // Drop the index after changes it can't follow (accounts, exchange rates, merged cloud data)
+    invalidateAggregateIndex() {
+        this.aggregateIndex = null;
+    }
+
+    // Date of the earliest income or expense, from the index
+    getFirstTransactionDate() {
+        const months = this.getAggregateIndex().months;
+        const monthKey = Object.keys(months).filter(key => months[key].count > 0).sort()[0];
+        if (!monthKey) return null;
+
+        const days = months[monthKey].days;
+        return Object.keys(days).filter(key => days[key].count > 0).sort()[0];
+    }
+
+    // Income, expense and spending by category between two date keys (all time without a range)
+    getAggregateTotals(range = null) {
+        const index = this.getAggregateIndex();
+        if (!range) return index;
+
+        const cacheKey = `${range.startKey}|${range.endKey}`;
+        if (index.ranges.has(cacheKey)) return index.ranges.get(cacheKey);
+
+        const totals = this.createAggregateBucket();
+        const startMonth = range.startKey.slice(0, 7);
+        const endMonth = range.endKey.slice(0, 7);
+        Object.entries(index.months).forEach(([monthKey, month]) => {
+            if (monthKey < startMonth || monthKey > endMonth) return;
+
+            // Whole months come from the month totals; only the months at the edges add up days
+            if (range.startKey <= `${monthKey}-01` && range.endKey >= `${monthKey}-31`) {
+                this.addAggregateBucket(totals, month);
+            } else {
+                Object.entries(month.days).forEach(([dayKey, day]) => {
+                    if (dayKey >= range.startKey && dayKey <= range.endKey) this.addAggregateBucket(totals, day);
+                });
+            }
+        });
+
+        index.ranges.set(cacheKey, totals);
+        return totals;
+    }
+
+    // Calculate balance (transfers move money between accounts and are neither income nor expense)
+    calculateBalance(range = null) {
+        const allTime = this.getAggregateTotals();
+        const totals = this.getAggregateTotals(range);
         
-        const expenses = this.transactions
-            .filter(t => t.type === 'expense')
-            .reduce((sum, t) => sum + t.amount, 0);
+        const base = this.getBaseCurrency();
+        const today = this.toDateKey(new Date());
+        const openingBalances = (this.accounts || [])
+            .reduce((sum, account) => sum + this.convertAmount(account.openingBalance, account.currency || base, base, today), 0);
         
+        // Income and expenses follow the range; the balance is always all-time
         return {
-            income: income,
-            expenses: expenses,
-            balance: income - expenses
+            income: totals.income,
+            expenses: totals.expense,
+            balance: openingBalances + allTime.income - allTime.expense
         };
     }
 
-    // Add transaction
-    addTransaction() {
+    // All-time balance at the end of a day, in the base currency
+    getBalanceOn(dateKey) {
+        const base = this.getBaseCurrency();
+        const openingBalances = (this.accounts || [])
+            .reduce((sum, account) => sum + this.convertAmount(account.openingBalance, account.currency || base, base, dateKey), 0);
+
+        return this.transactions
+            .filter(t => t.date <= dateKey)
+            .reduce((balance, t) => {
+                if (t.type === 'income') return balance + this.toBaseAmount(t);
+                if (t.type === 'expense') return balance - this.toBaseAmount(t);
+                return balance;
+            }, openingBalances);
+    }
+
+    // Read and validate the transaction form fields
+    getTransactionFormData() {
         const type = document.getElementById('transactionType').value;
         const amount = parseFloat(document.getElementById('transactionAmount').value);
         const category = document.getElementById('transactionCategory').value;
         const description = document.getElementById('transactionDescription').value;
+        const notesInput = document.getElementById('transactionNotes');
+        const notes = notesInput ? notesInput.value.trim() : '';
+        const tagsInput = document.getElementById('transactionTags');
+        const tags = this.parseTags(tagsInput ? tagsInput.value : '');
         const date = document.getElementById('transactionDate').value;
+        const goalSelect = document.getElementById('transactionGoal');
+        const goalId = goalSelect ? goalSelect.value : '';
+        const accountId = document.getElementById('transactionAccount').value;
+        const toAccountId = document.getElementById('transactionToAccount').value;
+        const currencyInput = document.getElementById('transactionCurrency');
+        const account = (this.accounts || []).find(a => a.id === accountId);
+        const currency = (currencyInput && currencyInput.value.trim().toUpperCase()) ||
+            (account && account.currency) || this.getBaseCurrency();
+
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            this.showAlert('Currency must be a 3-letter code such as USD or EUR', 'error');
+            return null;
+        }
+
+        if (type === 'transfer') {
+            if (!amount || !date || !accountId || !toAccountId) {
+                this.showAlert('Please fill in all required fields', 'error');
+                return null;
+            }
+            if (accountId === toAccountId) {
+                this.showAlert('Choose two different accounts for a transfer', 'error');
+                return null;
+            }
+            return { type, amount, currency, category: 'Transfer', description, notes, tags, date, accountId, toAccountId };
+        }
+
+        if (this.splitMode) {
+            if (!amount || !date) {
+                this.showAlert('Please fill in all required fields', 'error');
+                return null;
+            }
+            const splits = this.getSplitFormData(amount);
+            if (!splits) return null;
+
+            const formData = { type, amount, currency, category: 'Split', splits, description, notes, tags, date, accountId };
+            if (goalId) {
+                formData.goalId = goalId;
+            }
+            return formData;
+        }
 
         if (!amount || !category || !date) {
             this.showAlert('Please fill in all required fields', 'error');
-            return;
+            return null;
+        }
+
+        const formData = { type, amount, currency, category, description, notes, tags, date, accountId };
+        if (goalId) {
+            formData.goalId = goalId;
+        }
+        return formData;
+    }
+
+    // Split a comma-separated tag list into unique, trimmed tags
+    parseTags(text) {
+        const tags = [];
+        (text || '').split(',').forEach(part => {
+            const tag = part.trim().replace(/^#/, '');
+            if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+                tags.push(tag);
+            }
+        });
+        return tags;
+    }
+
+    // Add transaction
+    addTransaction() {
+        const formData = this.getTransactionFormData();
+        if (!formData) return;
+
+        // A matching rule wins unless the category was picked by hand
+        const rule = formData.type !== 'transfer' && !formData.splits && !this.categoryPickedByHand && this.findCategoryRule(formData);
+        if (rule) {
+            formData.category = rule.category;
         }
 
         const transaction = {
             id: Date.now().toString(),
-            type: type,
-            amount: amount,
-            category: category,
-            description: description,
-            date: date
+            ...formData
         };
 
         this.transactions.push(transaction);
+        this.updateAggregateIndex(null, transaction);
         this.saveData();
         this.updateDashboard();
-        this.displayAllTransactions();
+        this.populateFilterOptions();
+        this.insertTransactionListItem(transaction);
         this.closeModal(document.getElementById('transactionModal'));
-        this.showAlert('Transaction added successfully!', 'success');
+        this.showAlert(this.isEnvelopeMode() && transaction.type === 'income' && transaction.date >= this.getEnvelopeStart()
+            ? `Transaction added: ${this.formatCurrency(this.toBaseAmount(transaction, transaction.amount))} is ready to assign`
+            : 'Transaction added successfully!', 'success');
         
         // Reset form
-        document.getElementById('transactionForm').reset();
-        document.getElementById('transactionDate').value = new Date().toISOString().split('T')[0];
+        this.resetTransactionForm();
         
         // Check for alerts
         this.checkAlerts();
     }
 
+    // Update the transaction being edited in place, keeping its id
+    updateTransaction() {
+        const index = this.transactions.findIndex(t => t.id === this.editingTransactionId);
+        if (index === -1) {
+            this.showAlert('This transaction no longer exists', 'error');
+            this.closeModal(document.getElementById('transactionModal'));
+            this.resetTransactionForm();
+            return;
+        }
+
+        const formData = this.getTransactionFormData();
+        if (!formData) return;
+
+        const updated = {
+            ...this.transactions[index],
+            ...formData,
+            updatedAt: new Date().toISOString()
+        };
+        if (!formData.goalId) {
+            delete updated.goalId;
+        }
+        if (!formData.toAccountId) {
+            delete updated.toAccountId;
+        }
+        if (!formData.splits) {
+            delete updated.splits;
+        }
+        const previous = this.transactions[index];
+        this.transactions[index] = updated;
+        this.updateAggregateIndex(previous, updated);
+
+        // saveData() pushes the change through performCloudSync() when cloud sync is enabled
+        this.saveData();
+        this.updateDashboard();
+        this.populateFilterOptions();
+        this.removeTransactionListItem(updated.id);
+        this.insertTransactionListItem(updated);
+        this.closeModal(document.getElementById('transactionModal'));
+        this.showAlert('Transaction updated successfully!', 'success');
+
+        this.resetTransactionForm();
+        this.checkAlerts();
+    }
+
+    // Open the transaction modal in add mode, or in edit mode pre-filled from a transaction
+    openTransactionModal(transaction = null) {
+        if (!transaction) {
+            // Leaving edit mode should not carry the edited values into a new transaction
+            if (this.editingTransactionId) {
+                this.resetTransactionForm();
+            }
+            this.openModal('transactionModal');
+            return;
+        }
+
+        this.editingTransactionId = transaction.id;
+        this.setTransactionModalMode('edit');
+
+        document.getElementById('transactionType').value = transaction.type;
+        this.updateTransactionTypeFields(transaction.type);
+
+        // Keep categories that were removed or came from another device selectable
+        const categorySelect = document.getElementById('transactionCategory');
+        const isSplit = Array.isArray(transaction.splits) && transaction.splits.length > 0;
+        if (!isSplit && ![...categorySelect.options].some(option => option.value === transaction.category)) {
+            const option = document.createElement('option');
+            option.value = transaction.category;
+            option.textContent = transaction.category;
+            categorySelect.appendChild(option);
+        }
+        categorySelect.value = transaction.category;
+
+        this.populateAccountOptions();
+        document.getElementById('transactionAccount').value = this.getTransactionAccountId(transaction);
+        document.getElementById('transactionToAccount').value = transaction.toAccountId || '';
+        document.getElementById('transactionCurrency').value = this.getTransactionCurrency(transaction);
+
+        document.getElementById('transactionAmount').value = transaction.amount;
+        this.toggleSplitMode(isSplit, isSplit ? transaction.splits : null);
+        document.getElementById('transactionDescription').value = transaction.description || '';
+        document.getElementById('transactionNotes').value = transaction.notes || '';
+        document.getElementById('transactionTags').value = (transaction.tags || []).join(', ');
+        document.getElementById('transactionDate').value = transaction.date;
+        this.populateGoalOptions();
+        const goalSelect = document.getElementById('transactionGoal');
+        if (goalSelect) {
+            goalSelect.value = transaction.goalId || '';
+        }
+
+        this.openModal('transactionModal');
+    }
+
+    // Switch the transaction modal title between add and edit
+    setTransactionModalMode(mode) {
+        const title = document.getElementById('transactionModalTitle');
+        if (!title) return;
+
+        title.innerHTML = mode === 'edit'
+            ? '<i class="fas fa-edit"></i> Edit Transaction'
+            : '<i class="fas fa-plus-circle"></i> Add Transaction';
+    }
+
+    // Reset the transaction form back to add mode
+    resetTransactionForm() {
+        this.editingTransactionId = null;
+        this.categoryPickedByHand = false;
+        this.setTransactionModalMode('add');
+        document.getElementById('transactionForm').reset();
+        this.toggleSplitMode(false);
+        this.updateTransactionTypeFields(document.getElementById('transactionType').value);
+        document.getElementById('transactionDate').value = new Date().toISOString().split('T')[0];
+    }
+
     // Update dashboard
     updateDashboard() {
-        const { income, expenses, balance } = this.calculateBalance();
+        const range = this.getDashboardRange();
+        const { income, expenses, balance } = this.calculateBalance(range);
+        this.updateDashboardPeriodControls(range);
         
         document.getElementById('totalIncome').textContent = this.formatCurrency(income);
         document.getElementById('totalExpenses').textContent = this.formatCurrency(expenses);
@@ -847,24 +1693,168 @@ class BudgetApp {
         const balanceElement = document.getElementById('currentBalance');
         balanceElement.className = balance >= 0 ? 'positive' : 'negative';
         
-        this.updateChart();
-        this.updateRecentTransactions();
+        this.updateAccountBalances();
+        this.updateEnvelopeSummary();
+        this.updateBudgetGrid();
+        this.updateGoalsSummary();
+        this.updateChart(range);
+        this.updateTrendsChart();
+        this.updateRecentTransactions(range);
+    }
+
+    // Date range the dashboard income, expenses, chart and recent list cover; null means all time
+    getDashboardRange() {
+        const settings = this.settings || {};
+        const today = new Date();
+        const year = today.getFullYear();
+        const month = today.getMonth();
+
+        switch (settings.dashboardPeriod || 'thisMonth') {
+            case 'all':
+                return null;
+            case 'lastMonth':
+                return { startKey: this.toDateKey(new Date(year, month - 1, 1)), endKey: this.toDateKey(new Date(year, month, 0)) };
+            case 'thisYear':
+                return { startKey: this.toDateKey(new Date(year, 0, 1)), endKey: this.toDateKey(new Date(year, 11, 31)) };
+            case 'custom':
+                if (!settings.dashboardFrom || !settings.dashboardTo || settings.dashboardTo < settings.dashboardFrom) return null;
+                return { startKey: settings.dashboardFrom, endKey: settings.dashboardTo };
+            default:
+                return { startKey: this.toDateKey(new Date(year, month, 1)), endKey: this.toDateKey(new Date(year, month + 1, 0)) };
+        }
+    }
+
+    // Whether a transaction falls inside a dashboard range
+    isInDashboardRange(transaction, range) {
+        return !range || (transaction.date >= range.startKey && transaction.date <= range.endKey);
+    }
+
+    // Reflect the remembered dashboard period in the selector and its label
+    updateDashboardPeriodControls(range) {
+        const select = document.getElementById('dashboardPeriod');
+        if (!select) return;
+
+        const settings = this.settings || {};
+        select.value = settings.dashboardPeriod || 'thisMonth';
+        document.getElementById('dashboardCustomRange').style.display = select.value === 'custom' ? 'flex' : 'none';
+        document.getElementById('dashboardFrom').value = settings.dashboardFrom || '';
+        document.getElementById('dashboardTo').value = settings.dashboardTo || '';
+        document.getElementById('dashboardRangeLabel').textContent = range
+            ? this.formatPeriodRange({ start: this.parseDateKey(range.startKey), end: this.parseDateKey(range.endKey) })
+            : 'All time';
+    }
+
+    // Remember the chosen dashboard period and redraw
+    saveDashboardPeriod() {
+        const period = document.getElementById('dashboardPeriod').value;
+        let from = document.getElementById('dashboardFrom').value;
+        let to = document.getElementById('dashboardTo').value;
+
+        // Start a new custom range from whatever was being shown
+        if (period === 'custom' && (!from || !to)) {
+            const today = new Date();
+            const current = this.getDashboardRange() ||
+                { startKey: this.toDateKey(new Date(today.getFullYear(), today.getMonth(), 1)), endKey: this.toDateKey(today) };
+            from = from || current.startKey;
+            to = to || current.endKey;
+        }
+
+        this.settings = { ...this.settings, dashboardPeriod: period, dashboardFrom: from, dashboardTo: to };
+        this.saveData();
+        this.updateDashboard();
+    }
+
+    // Render the budget progress cards on the dashboard
+    updateBudgetGrid() {
+        const grid = document.getElementById('budgetGrid');
+        if (!grid) return;
+
+        const budgets = Object.entries(this.budgets || {});
+        if (budgets.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-bullseye"></i>
+                    <h3>No budgets yet</h3>
+                    <p>Use Manage Budgets to set spending limits for your categories</p>
+                </div>
+            `;
+            return;
+        }
+
+        grid.innerHTML = budgets.map(([category, budget]) => this.renderBudgetCard(category, budget)).join('');
+    }
+
+    // Build a single budget card: spent vs. limit, remaining, percentage and days left
+    renderBudgetCard(category, budget) {
+        const carryover = this.getBudgetCarryover(category, budget);
+        const limit = (parseFloat(budget.amount) || 0) + carryover;
+        const range = this.getBudgetPeriodRange(budget);
+        const spent = this.calculateCategorySpending(category, budget, range);
+        const remaining = limit - spent;
+        const percentage = limit > 0 ? (spent / limit) * 100 : 0;
+        const status = this.getBudgetStatus(percentage);
+        const today = new Date();
+        const daysLeft = this.getDaysLeft(range.end);
+        const envelope = this.isEnvelopeMode() ? this.getEnvelopeBalances().envelopes[category] : null;
+
+        let periodText;
+        if (range.start > today) {
+            periodText = 'Not started';
+        } else if (daysLeft === 0) {
+            periodText = 'Ended';
+        } else {
+            periodText = daysLeft === 1 ? '1 day left' : `${daysLeft} days left`;
+        }
+
+        return `
+            <div class="budget-card ${status}">
+                <div class="budget-header">
+                    <div class="budget-category">${category}</div>
+                    <div class="budget-percentage ${status}">${percentage.toFixed(0)}%</div>
+                </div>
+                <div class="budget-period">${this.formatPeriodRange(range)}</div>
+                <div class="budget-amounts">
+                    <span class="budget-spent">${this.formatCurrency(spent)} spent</span>
+                    <span class="budget-total">of ${this.formatCurrency(limit)}</span>
+                </div>
+                ${this.describeCarryover(carryover) ? `<div class="budget-carryover ${carryover < 0 ? 'deficit' : ''}">${this.describeCarryover(carryover)}</div>` : ''}
+                ${envelope ? `<div class="budget-envelope ${envelope.available < 0 ? 'over' : ''}">Envelope: ${this.formatCurrency(envelope.available)} available</div>` : ''}
+                <div class="progress-bar">
+                    <div class="progress-fill ${status}" style="width: ${Math.min(percentage, 100)}%"></div>
+                </div>
+                <div class="budget-footer">
+                    <span class="budget-remaining ${remaining < 0 ? 'over' : ''}">
+                        ${remaining < 0 ? `${this.formatCurrency(-remaining)} over` : `${this.formatCurrency(remaining)} left`}
+                    </span>
+                    <span class="budget-days-left">${periodText}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    // Map a budget usage percentage to the safe/warning/danger states
+    getBudgetStatus(percentage) {
+        if (percentage >= 100) return 'danger';
+        if (percentage >= this.settings.overspendingAlert) return 'warning';
+        return 'safe';
+    }
+
+    // Whole days remaining until the end of a period, counting today
+    getDaysLeft(end) {
+        const now = new Date();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        return Math.max(0, Math.round((end - today) / (1000 * 60 * 60 * 24)) + 1);
     }
 
     // Update chart
-    updateChart() {
+    updateChart(range = this.getDashboardRange()) {
         const ctx = document.getElementById('spendingChart');
         if (!ctx) return;
 
-        const expensesByCategory = {};
-        this.transactions
-            .filter(t => t.type === 'expense')
-            .forEach(t => {
-                expensesByCategory[t.category] = (expensesByCategory[t.category] || 0) + t.amount;
-            });
-
-        const labels = Object.keys(expensesByCategory);
-        const data = Object.values(expensesByCategory);
+        // Skip categories whose spending was deleted back down to rounding dust
+        const spending = Object.entries(this.getAggregateTotals(range).spending).filter(([, amount]) => amount > 0.005);
+        const labels = spending.map(([category]) => category);
+        const data = spending.map(([, amount]) => amount);
 
         if (this.chart) {
             this.chart.destroy();
@@ -895,6 +1885,151 @@ class BudgetApp {
                 plugins: {
                     legend: {
                         position: 'bottom'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.label}: ${this.formatCurrency(context.parsed)}`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Months covered by the selected trends range, oldest first
+    getTrendMonths() {
+        const range = document.getElementById('trendRange');
+        const value = range ? range.value : '6';
+        const today = new Date();
+        let start;
+        let end = new Date(today.getFullYear(), today.getMonth(), 1);
+
+        if (value === 'ytd') {
+            start = new Date(today.getFullYear(), 0, 1);
+        } else if (value === 'custom') {
+            const from = document.getElementById('trendFrom').value;
+            const to = document.getElementById('trendTo').value;
+            if (!from || !to || to < from) return [];
+            start = this.parseDateKey(from);
+            start.setDate(1);
+            end = this.parseDateKey(to);
+            end.setDate(1);
+        } else {
+            start = new Date(today.getFullYear(), today.getMonth() - (parseInt(value, 10) - 1), 1);
+        }
+
+        const months = [];
+        for (let month = new Date(start); month <= end && months.length < 120; month.setMonth(month.getMonth() + 1)) {
+            const monthEnd = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+            months.push({
+                startKey: this.toDateKey(month),
+                endKey: this.toDateKey(monthEnd),
+                label: month.toLocaleDateString(this.getLocale(), { month: 'short', year: '2-digit' })
+            });
+        }
+        return months;
+    }
+
+    // Income, expenses, net savings and per-category spending for each month, in the base currency
+    getMonthlyTotals(months) {
+        if (months.length === 0) return [];
+
+        // A custom range can start or end mid-month
+        const custom = document.getElementById('trendRange').value === 'custom';
+        const firstKey = custom ? document.getElementById('trendFrom').value : months[0].startKey;
+        const lastKey = custom ? document.getElementById('trendTo').value : months[months.length - 1].endKey;
+
+        return months.map(month => {
+            const totals = this.getAggregateTotals({
+                startKey: month.startKey > firstKey ? month.startKey : firstKey,
+                endKey: month.endKey < lastKey ? month.endKey : lastKey
+            });
+            const byCategory = {};
+            Object.entries(totals.spending).forEach(([category, amount]) => {
+                if (amount > 0.005) byCategory[category] = amount;
+            });
+            return { income: totals.income, expenses: totals.expense, net: totals.income - totals.expense, byCategory };
+        });
+    }
+
+    // Show the custom range inputs only when they're used
+    updateTrendRangeFields() {
+        const custom = document.getElementById('trendRange').value === 'custom';
+        document.getElementById('trendCustomRange').style.display = custom ? 'flex' : 'none';
+        this.updateTrendsChart();
+    }
+
+    // Draw monthly income vs. expenses with net savings, or stacked spending by category
+    updateTrendsChart() {
+        const ctx = document.getElementById('trendsChart');
+        if (!ctx) return;
+
+        const months = this.getTrendMonths();
+        const totals = this.getMonthlyTotals(months);
+        const view = document.getElementById('trendView').value;
+        const empty = document.getElementById('trendsEmpty');
+
+        if (this.trendsChart) {
+            this.trendsChart.destroy();
+        }
+
+        const hasData = totals.some(total => total.income !== 0 || total.expenses !== 0);
+        ctx.style.display = hasData ? 'block' : 'none';
+        if (empty) empty.style.display = hasData ? 'none' : 'block';
+        if (!hasData) return;
+
+        const labels = months.map(month => month.label);
+        let datasets;
+
+        if (view === 'categories') {
+            const colors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#C9CBCF', '#2ecc71'];
+            const categories = [...new Set(totals.flatMap(total => Object.keys(total.byCategory)))];
+            datasets = categories.map((category, i) => ({
+                type: 'bar',
+                label: category,
+                data: totals.map(total => total.byCategory[category] || 0),
+                backgroundColor: colors[i % colors.length],
+                stack: 'expenses'
+            }));
+        } else {
+            datasets = [
+                { type: 'bar', label: 'Income', data: totals.map(total => total.income), backgroundColor: '#27ae60' },
+                { type: 'bar', label: 'Expenses', data: totals.map(total => total.expenses), backgroundColor: '#e74c3c' },
+                {
+                    type: 'line',
+                    label: 'Net Savings',
+                    data: totals.map(total => total.net),
+                    borderColor: '#667eea',
+                    backgroundColor: '#667eea',
+                    tension: 0.3
+                }
+            ];
+        }
+
+        const stacked = view === 'categories';
+        this.trendsChart = new Chart(ctx, {
+            type: 'bar',
+            data: { labels, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { stacked },
+                    y: {
+                        stacked,
+                        ticks: {
+                            callback: (value) => this.formatCurrency(value)
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${this.formatCurrency(context.parsed.y)}`
+                        }
                     }
                 }
             }
@@ -902,14 +2037,15 @@ class BudgetApp {
     }
 
     // Update recent transactions
-    updateRecentTransactions() {
+    updateRecentTransactions(range = this.getDashboardRange()) {
         const container = document.getElementById('transactionsList');
         const recent = this.transactions
+            .filter(t => this.isInDashboardRange(t, range))
             .sort((a, b) => new Date(b.date) - new Date(a.date))
             .slice(0, 5);
 
         if (recent.length === 0) {
-            container.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No transactions yet</p>';
+            container.innerHTML = `<p style="color: #7f8c8d; text-align: center;">${this.transactions.length === 0 ? 'No transactions yet' : 'No transactions in this period'}</p>`;
             return;
         }
 
@@ -917,20 +2053,197 @@ class BudgetApp {
             <div class="transaction-item">
                 <div class="transaction-info">
                     <div class="transaction-icon ${transaction.type}">
-                        <i class="fas fa-${transaction.type === 'income' ? 'plus' : 'minus'}"></i>
+                        <i class="fas fa-${this.getTransactionIcon(transaction)}"></i>
                     </div>
                     <div class="transaction-details">
-                        <h4>${transaction.description || transaction.category}</h4>
-                        <p>${transaction.category} • ${this.formatDate(transaction.date)}</p>
+                        <h4>${this.getTransactionTitle(transaction)}</h4>
+                        <p>${this.getTransactionMeta(transaction)}</p>
                     </div>
                 </div>
                 <div class="transaction-amount ${transaction.type}">
-                    ${transaction.type === 'income' ? '+' : '-'}${this.formatCurrency(transaction.amount)}
+                    ${this.formatTransactionAmount(transaction)}
                 </div>
             </div>
         `).join('');
     }
 
+    // Icon for a transaction row
+    getTransactionIcon(transaction) {
+        if (transaction.type === 'transfer') return 'exchange-alt';
+        return transaction.type === 'income' ? 'plus' : 'minus';
+    }
+
+    // Amount sign for a transaction row (transfers don't change the overall balance)
+    getTransactionSign(transaction) {
+        if (transaction.type === 'transfer') return '';
+        return transaction.type === 'income' ? '+' : '-';
+    }
+
+    // Heading for a transaction row
+    getTransactionTitle(transaction) {
+        if (transaction.description) return this.escapeHtml(transaction.description);
+        if (transaction.type === 'transfer') {
+            return `Transfer to ${this.getAccountName(transaction.toAccountId)}`;
+        }
+        return this.getTransactionCategoryLabel(transaction);
+    }
+
+    // Detail line for a transaction row, naming the account(s) once there is more than one
+    getTransactionMeta(transaction) {
+        const date = this.formatDate(transaction.date);
+
+        if (transaction.type === 'transfer') {
+            return `${this.getAccountName(transaction.accountId)} → ${this.getAccountName(transaction.toAccountId)} • ${date}`;
+        }
+
+        if ((this.accounts || []).length > 1) {
+            return `${this.getTransactionCategoryLabel(transaction)} • ${this.getAccountName(this.getTransactionAccountId(transaction))} • ${date}`;
+        }
+
+        return `${this.getTransactionCategoryLabel(transaction)} • ${date}`;
+    }
+
+    // Category/amount portions of a transaction in the base currency: its split lines, or the whole amount
+    getCategoryPortions(transaction) {
+        if (Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+            return transaction.splits.map(split => ({
+                category: split.category,
+                amount: this.toBaseAmount(transaction, split.amount)
+            }));
+        }
+        return [{ category: transaction.category, amount: this.toBaseAmount(transaction) }];
+    }
+
+    // Category text for a transaction row
+    getTransactionCategoryLabel(transaction) {
+        if (Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+            return `Split: ${[...new Set(transaction.splits.map(split => split.category))].join(', ')}`;
+        }
+        return transaction.category;
+    }
+
+    // Turn the split editor on or off in the transaction form
+    toggleSplitMode(enabled, splits = null) {
+        const type = document.getElementById('transactionType').value;
+        this.splitMode = enabled && type !== 'transfer';
+
+        const section = document.getElementById('transactionSplitSection');
+        const container = document.querySelector('#transactionModal .category-input-container');
+        const categorySelect = document.getElementById('transactionCategory');
+        const lines = document.getElementById('transactionSplitLines');
+        if (!section || !lines) return;
+
+        section.style.display = this.splitMode ? 'block' : 'none';
+        if (container) container.style.display = this.splitMode ? 'none' : '';
+        categorySelect.required = !this.splitMode && type !== 'transfer';
+        lines.innerHTML = '';
+
+        if (!this.splitMode) return;
+
+        this.hideNewCategoryInput();
+        const hint = document.getElementById('transactionCategoryHint');
+        if (hint) hint.textContent = '';
+
+        // Start from the chosen category holding the whole amount
+        const initialSplits = splits || [
+            { category: categorySelect.value, amount: parseFloat(document.getElementById('transactionAmount').value) || '' },
+            { category: '', amount: '' }
+        ];
+        initialSplits.forEach(split => this.addSplitLine(split));
+        this.updateSplitRemaining();
+    }
+
+    // Append a category/amount line to the split editor
+    addSplitLine(split = {}) {
+        const lines = document.getElementById('transactionSplitLines');
+        if (!lines) return;
+
+        const type = document.getElementById('transactionType').value;
+        const line = document.createElement('div');
+        line.className = 'split-line';
+        line.innerHTML = `
+            <select class="enhanced-select split-category">
+                ${this.getSplitCategoryOptions(type, split.category)}
+            </select>
+            <input type="number" class="enhanced-input split-amount" step="0.01" min="0" placeholder="0.00" value="${split.amount ?? ''}">
+            <button type="button" class="remove-btn" onclick="app.removeSplitLine(this)">&times;</button>
+        `;
+        line.querySelector('.split-amount').addEventListener('input', () => this.updateSplitRemaining());
+        lines.appendChild(line);
+    }
+
+    // Category options for a split line, keeping a category that is no longer in the list
+    getSplitCategoryOptions(type, selected = '') {
+        const categories = [...(this.categories[type] || [])];
+        if (selected && !categories.includes(selected)) {
+            categories.push(selected);
+        }
+        return '<option value="">Category...</option>' + categories.map(cat =>
+            `<option value="${cat}" ${cat === selected ? 'selected' : ''}>${cat}</option>`
+        ).join('');
+    }
+
+    // Refresh the split line categories after the transaction type changes
+    refreshSplitCategories(type) {
+        document.querySelectorAll('#transactionSplitLines .split-category').forEach(select => {
+            const current = (this.categories[type] || []).includes(select.value) ? select.value : '';
+            select.innerHTML = this.getSplitCategoryOptions(type, current);
+        });
+    }
+
+    // Remove a split line
+    removeSplitLine(button) {
+        const line = button.closest('.split-line');
+        if (line) {
+            line.remove();
+            this.updateSplitRemaining();
+        }
+    }
+
+    // Show how much of the total is still unassigned
+    updateSplitRemaining() {
+        const remainingEl = document.getElementById('splitRemaining');
+        if (!remainingEl || !this.splitMode) return;
+
+        const total = parseFloat(document.getElementById('transactionAmount').value) || 0;
+        const assigned = [...document.querySelectorAll('#transactionSplitLines .split-amount')]
+            .reduce((sum, input) => sum + (parseFloat(input.value) || 0), 0);
+        const remaining = Math.round((total - assigned) * 100) / 100;
+
+        remainingEl.className = `split-remaining ${remaining === 0 ? 'balanced' : 'unbalanced'}`;
+        remainingEl.textContent = remaining === 0
+            ? 'Split lines add up to the total'
+            : remaining > 0
+                ? `${this.formatCurrency(remaining)} left to assign`
+                : `${this.formatCurrency(-remaining)} over the total`;
+    }
+
+    // Read and validate the split lines against the transaction total
+    getSplitFormData(amount) {
+        const splits = [...document.querySelectorAll('#transactionSplitLines .split-line')].map(line => ({
+            category: line.querySelector('.split-category').value,
+            amount: parseFloat(line.querySelector('.split-amount').value)
+        }));
+
+        if (splits.length < 2) {
+            this.showAlert('A split needs at least two lines', 'error');
+            return null;
+        }
+
+        if (splits.some(split => !split.category || !split.amount || split.amount <= 0)) {
+            this.showAlert('Give every split line a category and an amount', 'error');
+            return null;
+        }
+
+        const assigned = splits.reduce((sum, split) => sum + split.amount, 0);
+        if (Math.abs(assigned - amount) >= 0.005) {
+            this.showAlert(`Split lines add up to ${this.formatCurrency(assigned)}, not ${this.formatCurrency(amount)}`, 'error');
+            return null;
+        }
+
+        return splits;
+    }
+
     // Populate categories
     populateCategories() {
         const typeSelect = document.getElementById('transactionType');
@@ -951,6 +2264,41 @@ class BudgetApp {
         ).join('');
     }
 
+    // Show the fields that apply to the selected transaction type
+    updateTransactionTypeFields(type) {
+        this.updateCategoriesForType(type);
+
+        const isTransfer = type === 'transfer';
+        const categoryGroup = document.querySelector('#transactionModal .category-group');
+        const categorySelect = document.getElementById('transactionCategory');
+        const toAccountGroup = document.getElementById('transactionToAccountGroup');
+        const accountLabel = document.getElementById('transactionAccountLabel');
+        const goalGroup = document.getElementById('transactionGoalGroup');
+
+        if (categoryGroup) {
+            categoryGroup.style.display = isTransfer ? 'none' : '';
+        }
+        if (categorySelect) {
+            categorySelect.required = !isTransfer && !this.splitMode;
+        }
+        if (isTransfer && this.splitMode) {
+            this.toggleSplitMode(false);
+        } else if (this.splitMode) {
+            this.refreshSplitCategories(type);
+        }
+        if (toAccountGroup) {
+            toAccountGroup.style.display = isTransfer ? 'block' : 'none';
+        }
+        if (accountLabel) {
+            accountLabel.textContent = isTransfer ? 'From Account' : 'Account';
+        }
+        if (goalGroup && isTransfer) {
+            goalGroup.style.display = 'none';
+        } else {
+            this.populateGoalOptions();
+        }
+    }
+
     // Populate filter categories
     populateFilterCategories() {
         const filterCategory = document.getElementById('filterCategory');
@@ -959,8 +2307,9 @@ class BudgetApp {
         const allCategories = [...this.categories.income, ...this.categories.expense];
         const uniqueCategories = [...new Set(allCategories)];
         
-        filterCategory.innerHTML = '<option value="">All Categories</option>' +
-            uniqueCategories.map(cat => `<option value="${cat}">${cat}</option>`).join('');
+        const selected = Array.from(filterCategory.selectedOptions).map(option => option.value);
+        filterCategory.innerHTML = uniqueCategories.map(cat =>
+            `<option value="${cat}"${selected.includes(cat) ? ' selected' : ''}>${cat}</option>`).join('');
     }
 
     // Populate budget categories
@@ -1080,6 +2429,10 @@ class BudgetApp {
                 
                 // Ensure new category input is hidden
                 this.hideNewCategoryInput();
+                
+                // Refresh savings goal and account choices
+                this.populateGoalOptions();
+                this.populateAccountOptions();
             }
         }
     }
@@ -1116,24 +2469,125 @@ class BudgetApp {
         });
     }
 
+    // Locale used for number and date formatting
+    getLocale() {
+        return (this.settings && this.settings.locale) || navigator.language || 'en-US';
+    }
+
+    // Open the settings modal with the current values filled in
+    openSettingsModal() {
+        const settings = this.settings || {};
+        document.getElementById('lowBalanceThreshold').value = settings.lowBalanceThreshold ?? 100;
+        document.getElementById('overspendingAlert').value = String(settings.overspendingAlert ?? 80);
+        document.getElementById('enableNotifications').checked = !!settings.enableNotifications;
+        document.getElementById('settingsLocale').value = settings.locale || '';
+        document.getElementById('settingsCurrency').value = this.getBaseCurrency();
+        document.getElementById('settingsFirstDayOfWeek').value = String(settings.firstDayOfWeek ?? 0);
+        document.getElementById('settingsDateFormat').value = settings.dateFormat || 'medium';
+        document.getElementById('settingsEnvelopeMode').checked = this.isEnvelopeMode();
+        document.getElementById('settingsEnvelopeStart').value = this.getEnvelopeStart();
+        this.updateFormatPreview();
+        this.openModal('settingsModal');
+    }
+
+    // Show how amounts and dates will look with the chosen regional settings
+    updateFormatPreview() {
+        const preview = document.getElementById('formatPreview');
+        if (!preview) return;
+
+        const draft = {
+            ...this.settings,
+            locale: document.getElementById('settingsLocale').value,
+            baseCurrency: document.getElementById('settingsCurrency').value.trim().toUpperCase() || this.getBaseCurrency(),
+            dateFormat: document.getElementById('settingsDateFormat').value
+        };
+        const saved = this.settings;
+
+        try {
+            this.settings = draft;
+            preview.textContent = `${this.formatCurrency(-1234.56)} • ${this.formatDate(new Date())}`;
+        } catch (error) {
+            preview.textContent = 'Enter a valid 3-letter currency code';
+        } finally {
+            this.settings = saved;
+        }
+    }
+
+    // Save the settings form
+    saveSettings() {
+        const threshold = parseFloat(document.getElementById('lowBalanceThreshold').value);
+        const currency = document.getElementById('settingsCurrency').value.trim().toUpperCase();
+
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            this.showAlert('Currency must be a 3-letter code such as USD or EUR', 'error');
+            return;
+        }
+
+        const enableNotifications = document.getElementById('enableNotifications').checked;
+        this.settings = {
+            ...this.settings,
+            lowBalanceThreshold: isNaN(threshold) ? 100 : threshold,
+            overspendingAlert: parseInt(document.getElementById('overspendingAlert').value, 10),
+            enableNotifications: enableNotifications,
+            locale: document.getElementById('settingsLocale').value,
+            baseCurrency: currency,
+            firstDayOfWeek: parseInt(document.getElementById('settingsFirstDayOfWeek').value, 10),
+            dateFormat: document.getElementById('settingsDateFormat').value,
+            envelopeMode: document.getElementById('settingsEnvelopeMode').checked,
+            envelopeStart: document.getElementById('settingsEnvelopeStart').value || this.getEnvelopeStart()
+        };
+
+        this.saveData();
+        if (enableNotifications) {
+            this.requestNotificationPermission();
+        }
+
+        this.updateDashboard();
+        this.displayAllTransactions();
+        this.closeModal(document.getElementById('settingsModal'));
+        this.showAlert('Settings saved!', 'success');
+    }
+
+    // Escape text from files, the cloud or the user before it goes into innerHTML
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // Format currency
-    formatCurrency(amount) {
-        return new Intl.NumberFormat('en-US', {
+    formatCurrency(amount, currency = this.getBaseCurrency()) {
+        return new Intl.NumberFormat(this.getLocale(), {
             style: 'currency',
-            currency: 'USD'
+            currency: currency
         }).format(amount);
     }
 
     // Format date
     formatDate(date) {
-        return new Date(date).toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
+        // Date-only keys are local dates; new Date('YYYY-MM-DD') would read them as UTC
+        const value = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+            ? this.parseDateKey(date)
+            : new Date(date);
+        const format = (this.settings && this.settings.dateFormat) || 'medium';
+
+        if (format === 'medium' || format === 'short') {
+            return value.toLocaleDateString(this.getLocale(), format === 'short'
+                ? { year: 'numeric', month: '2-digit', day: '2-digit' }
+                : { year: 'numeric', month: 'short', day: 'numeric' });
+        }
+
+        const [year, month, day] = this.toDateKey(value).split('-');
+        return format
+            .replace('YYYY', year)
+            .replace('MM', month)
+            .replace('DD', day);
     }
 
-    // Add budget
+    // Add budget (or save the budget being edited)
     addBudget() {
         const category = document.getElementById('budgetCategory').value;
         const amount = parseFloat(document.getElementById('budgetAmount').value);
@@ -1144,183 +2598,3389 @@ class BudgetApp {
             return;
         }
 
-        this.budgets[category] = { amount, period };
+        const periodFields = this.getBudgetPeriodFields(period);
+        if (!periodFields) return;
+
+        const originalCategory = this.editingBudgetCategory;
+        const rolloverFields = this.getBudgetRolloverFields(
+            { amount, period, ...periodFields },
+            originalCategory ? this.budgets[originalCategory] : null
+        );
+        if (!rolloverFields) return;
+
+        const amountHistory = this.updateBudgetAmountHistory(
+            { amount, period, ...periodFields },
+            originalCategory ? this.budgets[originalCategory] : null
+        );
+
+        if (originalCategory) {
+            if (category !== originalCategory && this.budgets[category] &&
+                !confirm(`A budget for ${category} already exists. Replace it?`)) {
+                return;
+            }
+            const { periodStartDay, startDate, endDate, rollover, rolloverCap, rolloverStart, ...rest } = this.budgets[originalCategory];
+            this.budgets = this.rekeyBudget(originalCategory, category, { ...rest, amount, period, ...periodFields, ...rolloverFields, amountHistory });
+        } else {
+            this.budgets[category] = { amount, period, ...periodFields, ...rolloverFields, amountHistory };
+        }
+
         this.saveData();
         this.updateBudgetsList();
+        this.updateBudgetGrid();
         this.closeModal(document.getElementById('budgetModal'));
-        this.showAlert('Budget added successfully!', 'success');
+        this.showAlert(originalCategory ? 'Budget updated successfully!' : 'Budget added successfully!', 'success');
         
         // Reset form
-        document.getElementById('budgetForm').reset();
+        this.resetBudgetForm();
     }
 
-    // Update budgets list
-    updateBudgetsList() {
-        const budgetsList = document.getElementById('currentBudgetsList');
-        
-        if (Object.keys(this.budgets).length === 0) {
-            budgetsList.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No budgets set</p>';
-            return;
-        }
-
-        budgetsList.innerHTML = Object.entries(this.budgets).map(([category, budget]) => `
-            <div class="budget-list-item">
-                <div>
-                    <div class="category">${category}</div>
-                    <div style="font-size: 0.8rem; color: #7f8c8d;">${budget.period}</div>
-                </div>
-                <div class="amount">${this.formatCurrency(budget.amount)}</div>
-                <div class="budget-actions">
-                    <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem; margin-right: 0.5rem;" onclick="app.editBudget('${category}')">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="remove-btn" onclick="app.removeBudget('${category}')">Remove</button>
-                </div>
-            </div>
-        `).join('');
+    // Replace a budget entry, moving it to a new category key while keeping its list position
+    rekeyBudget(oldCategory, newCategory, budget) {
+        const rekeyed = {};
+        Object.entries(this.budgets).forEach(([category, existing]) => {
+            if (category === oldCategory) {
+                rekeyed[newCategory] = budget;
+            } else if (category !== newCategory) {
+                rekeyed[category] = existing;
+            }
+        });
+        return rekeyed;
     }
 
-    // Remove budget
-    removeBudget(category) {
-        if (confirm(`Remove budget for ${category}?`)) {
-            delete this.budgets[category];
-            this.saveData();
-            this.updateBudgetsList();
-            this.showAlert('Budget removed successfully!', 'success');
-        }
+    // Open the budget modal in add mode
+    openBudgetModal() {
+        this.resetBudgetForm();
+        this.openModal('budgetModal');
     }
 
-    // Display all transactions
-    displayAllTransactions() {
-        this.displayFilteredTransactions(this.transactions);
+    // Load an existing budget into the budget form
+    editBudget(category) {
+        const budget = this.budgets[category];
+        if (!budget) return;
+
+        this.editingBudgetCategory = category;
+        this.populateBudgetCategories();
+
+        // Budgets can outlive their category (e.g. synced from another device)
+        const categorySelect = document.getElementById('budgetCategory');
+        if (![...categorySelect.options].some(option => option.value === category)) {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            categorySelect.appendChild(option);
+        }
+
+        categorySelect.value = category;
+        document.getElementById('budgetAmount').value = budget.amount;
+        document.getElementById('budgetPeriod').value = budget.period || 'monthly';
+        document.getElementById('budgetPeriodStartDay').value = budget.periodStartDay || '';
+        document.getElementById('budgetStartDate').value = budget.startDate || '';
+        document.getElementById('budgetEndDate').value = budget.endDate || '';
+        document.getElementById('budgetRollover').value = budget.rollover || 'none';
+        document.getElementById('budgetRolloverCap').value = budget.rolloverCap ?? '';
+        this.updateBudgetPeriodFields();
+        this.setBudgetModalMode('edit', category);
+
+        this.openModal('budgetModal');
+    }
+
+    // Keep the budget form title and buttons in sync with add vs. edit
+    setBudgetModalMode(mode, category = '') {
+        const title = document.getElementById('budgetModalTitle');
+        const submitBtn = document.getElementById('budgetSubmitBtn');
+        const cancelBtn = document.getElementById('cancelBudgetEdit');
+
+        if (title) {
+            title.textContent = mode === 'edit' ? `Edit Budget: ${category}` : 'Set Category Budget';
+        }
+        if (submitBtn) {
+            submitBtn.textContent = mode === 'edit' ? 'Update Budget' : 'Set Budget';
+        }
+        if (cancelBtn) {
+            cancelBtn.style.display = mode === 'edit' ? 'inline-flex' : 'none';
+        }
+    }
+
+    // Reset the budget form back to add mode
+    resetBudgetForm() {
+        this.editingBudgetCategory = null;
+        const form = document.getElementById('budgetForm');
+        if (form) {
+            form.reset();
+        }
+        this.populateBudgetCategories();
+        this.updateBudgetPeriodFields();
+        this.setBudgetModalMode('add');
+    }
+
+    // Show the extra fields the selected budget period needs
+    updateBudgetPeriodFields() {
+        const period = document.getElementById('budgetPeriod').value;
+        const startDayGroup = document.getElementById('budgetStartDayGroup');
+        const rangeGroup = document.getElementById('budgetRangeGroup');
+
+        if (startDayGroup) startDayGroup.style.display = period === 'paycycle' ? 'block' : 'none';
+        if (rangeGroup) rangeGroup.style.display = period === 'custom' ? 'flex' : 'none';
+
+        // A one-off date range has no next period to roll into
+        const rolloverGroup = document.getElementById('budgetRolloverGroup');
+        if (rolloverGroup) rolloverGroup.style.display = period === 'custom' ? 'none' : 'flex';
+    }
+
+    // Read and validate the period-specific budget fields
+    getBudgetPeriodFields(period) {
+        if (period === 'paycycle') {
+            const periodStartDay = parseInt(document.getElementById('budgetPeriodStartDay').value, 10);
+            if (!periodStartDay || periodStartDay < 1 || periodStartDay > 31) {
+                this.showAlert('Pay cycle start day must be between 1 and 31', 'error');
+                return null;
+            }
+            return { periodStartDay };
+        }
+
+        if (period === 'custom') {
+            const startDate = document.getElementById('budgetStartDate').value;
+            const endDate = document.getElementById('budgetEndDate').value;
+            if (!startDate || !endDate || endDate < startDate) {
+                this.showAlert('Choose a start date and an end date on or after it', 'error');
+                return null;
+            }
+            return { startDate, endDate };
+        }
+
+        return {};
+    }
+
+    // Read the rollover fields; carryover is counted from the period rollover was turned on
+    getBudgetRolloverFields(budget, previous) {
+        const rollover = budget.period === 'custom' ? 'none' : document.getElementById('budgetRollover').value;
+        if (rollover === 'none') return {};
+
+        const capValue = document.getElementById('budgetRolloverCap').value;
+        const rolloverCap = capValue === '' ? null : parseFloat(capValue);
+        if (rolloverCap !== null && (isNaN(rolloverCap) || rolloverCap < 0)) {
+            this.showAlert('Carryover cap must be zero or more', 'error');
+            return null;
+        }
+
+        // Changing the period makes earlier periods incomparable, so start counting again
+        const samePeriod = previous && previous.rollover && previous.rollover !== 'none' &&
+            previous.period === budget.period &&
+            (previous.periodStartDay || null) === (budget.periodStartDay || null);
+        const rolloverStart = samePeriod && previous.rolloverStart
+            ? previous.rolloverStart
+            : this.toDateKey(this.getBudgetPeriodRange(budget).start);
+
+        return { rollover, rolloverCap, rolloverStart };
+    }
+
+    // Starter templates; each line is a share of monthly income
+    getBuiltInTemplates() {
+        return [
+            {
+                id: 'builtin_50_30_20',
+                name: '50/30/20 (needs / wants / savings)',
+                builtIn: true,
+                lines: [
+                    { category: 'Bills', percent: 25, period: 'monthly' },
+                    { category: 'Food', percent: 15, period: 'monthly' },
+                    { category: 'Transportation', percent: 5, period: 'monthly' },
+                    { category: 'Healthcare', percent: 5, period: 'monthly' },
+                    { category: 'Entertainment', percent: 10, period: 'monthly' },
+                    { category: 'Shopping', percent: 10, period: 'monthly' },
+                    { category: 'Other', percent: 10, period: 'monthly' }
+                ]
+            }
+        ];
+    }
+
+    // How many of a budget period fit in a month, for converting monthly income shares
+    getPeriodsPerMonth(period) {
+        switch (period) {
+            case 'weekly':
+                return 52 / 12;
+            case 'quarterly':
+                return 1 / 3;
+            case 'yearly':
+                return 1 / 12;
+            default:
+                return 1;
+        }
+    }
+
+    // Average monthly income over the last few complete months, in the base currency
+    getAverageMonthlyIncome(months = 3) {
+        const today = new Date();
+        const start = this.toDateKey(new Date(today.getFullYear(), today.getMonth() - months, 1));
+        const end = this.toDateKey(new Date(today.getFullYear(), today.getMonth(), 0));
+
+        const total = this.transactions
+            .filter(t => t.type === 'income' && t.date >= start && t.date <= end)
+            .reduce((sum, t) => sum + this.toBaseAmount(t, parseFloat(t.amount) || 0), 0);
+        return total / months;
+    }
+
+    // Open the template picker from the budget manager
+    openTemplateModal() {
+        this.closeModal(document.getElementById('budgetModal'));
+        this.populateTemplateOptions();
+
+        const average = this.getAverageMonthlyIncome();
+        const incomeInput = document.getElementById('templateIncome');
+        if (!incomeInput.value && average > 0) {
+            incomeInput.value = average.toFixed(2);
+        }
+        document.getElementById('averageIncomeHint').textContent =
+            `Average of the last 3 months: ${this.formatCurrency(average)}`;
+
+        document.getElementById('templateName').value = '';
+        this.previewBudgetTemplate();
+        this.openModal('templateModal');
+    }
+
+    // Fill the template dropdown with starter and saved templates
+    populateTemplateOptions(selectedId = '') {
+        const select = document.getElementById('templateSelect');
+        if (!select) return;
+
+        const option = template => `<option value="${template.id}">${template.name}</option>`;
+        const saved = this.budgetTemplates || [];
+        select.innerHTML = `<optgroup label="Starter Templates">${this.getBuiltInTemplates().map(option).join('')}</optgroup>` +
+            (saved.length > 0 ? `<optgroup label="My Templates">${saved.map(option).join('')}</optgroup>` : '');
+
+        if (selectedId) select.value = selectedId;
+    }
+
+    // Template currently chosen in the dropdown
+    getSelectedTemplate() {
+        const templateId = document.getElementById('templateSelect').value;
+        return this.getBuiltInTemplates().concat(this.budgetTemplates || []).find(t => t.id === templateId) || null;
+    }
+
+    // Turn a template's income shares into budget amounts for each of its periods
+    buildTemplateBudgets(template, income) {
+        const categories = this.categories.expense || [];
+        return template.lines.map(line => {
+            const monthly = income * line.percent / 100;
+            return {
+                ...line,
+                amount: Math.round(monthly / this.getPeriodsPerMonth(line.period) * 100) / 100,
+                current: this.budgets[line.category] ? parseFloat(this.budgets[line.category].amount) || 0 : null,
+                missing: !categories.includes(line.category)
+            };
+        });
+    }
+
+    // Show what applying the selected template would set each budget to
+    previewBudgetTemplate() {
+        const preview = document.getElementById('templatePreview');
+        const summary = document.getElementById('templatePreviewSummary');
+        const template = this.getSelectedTemplate();
+        if (!preview || !template) return;
+
+        const income = parseFloat(document.getElementById('templateIncome').value) || 0;
+        const rows = this.buildTemplateBudgets(template, income);
+        const used = rows.filter(row => !row.missing).reduce((sum, row) => sum + row.percent, 0);
+        const skipped = rows.filter(row => row.missing).map(row => row.category);
+
+        document.getElementById('deleteTemplateBtn').style.display = template.builtIn ? 'none' : 'inline-flex';
+
+        summary.textContent = income > 0
+            ? `Budgets ${used.toFixed(0)}% of ${this.formatCurrency(income)} a month; ` +
+              `${this.formatCurrency(income * (100 - used) / 100)} (${(100 - used).toFixed(0)}%) is left for savings and goals.` +
+              (skipped.length > 0 ? ` Skipped because they aren't your categories: ${skipped.join(', ')}.` : '')
+            : 'Enter your expected monthly income to see the budget amounts.';
+
+        preview.innerHTML = `
+            <table class="budget-history-table">
+                <thead>
+                    <tr><th>Category</th><th>Share</th><th>New Budget</th><th>Current</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.missing ? 'template-row-skipped' : ''}">
+                            <td>${row.category}</td>
+                            <td>${Number(row.percent.toFixed(1))}%</td>
+                            <td>${this.formatCurrency(row.amount)} ${this.describeBudgetPeriod(row).toLowerCase()}</td>
+                            <td>${row.current === null ? '—' : this.formatCurrency(row.current)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Create or update budgets from the selected template
+    applyBudgetTemplate() {
+        const template = this.getSelectedTemplate();
+        const income = parseFloat(document.getElementById('templateIncome').value);
+        if (!template) return;
+
+        if (!(income > 0)) {
+            this.showAlert('Enter your expected monthly income first', 'error');
+            return;
+        }
+
+        const rows = this.buildTemplateBudgets(template, income).filter(row => !row.missing);
+        const replace = document.getElementById('templateReplace').checked;
+        if (replace && !confirm('Remove budgets that are not part of this template?')) {
+            return;
+        }
+
+        const budgets = replace ? {} : { ...this.budgets };
+        rows.forEach(row => {
+            const previous = this.budgets[row.category];
+            const period = { period: row.period, ...(row.periodStartDay ? { periodStartDay: row.periodStartDay } : {}) };
+            // Keep rollover and other settings only when the period stays the same
+            const base = previous && previous.period === row.period ? previous : {};
+            const budget = { ...base, amount: row.amount, ...period };
+            budget.amountHistory = this.updateBudgetAmountHistory(budget, previous || null);
+            budgets[row.category] = budget;
+        });
+
+        this.budgets = budgets;
+        this.saveData();
+        this.updateBudgetsList();
+        this.updateDashboard();
+        this.closeModal(document.getElementById('templateModal'));
+        this.showAlert(`Applied "${template.name}" to ${rows.length} budgets`, 'success');
+    }
+
+    // Save the current budgets as shares of the entered monthly income
+    saveBudgetTemplate() {
+        const name = document.getElementById('templateName').value.trim();
+        const income = parseFloat(document.getElementById('templateIncome').value);
+
+        if (!name) {
+            this.showAlert('Give the template a name', 'error');
+            return;
+        }
+        if (!(income > 0)) {
+            this.showAlert('Enter the monthly income these budgets are based on', 'error');
+            return;
+        }
+
+        // A one-off date range doesn't repeat, so it can't be part of a template
+        const lines = Object.entries(this.budgets)
+            .filter(([, budget]) => budget.period !== 'custom')
+            .map(([category, budget]) => {
+                const period = budget.period || 'monthly';
+                const monthly = (parseFloat(budget.amount) || 0) * this.getPeriodsPerMonth(period);
+                return {
+                    category,
+                    percent: Math.round(monthly / income * 1000000) / 10000,
+                    period,
+                    ...(budget.periodStartDay ? { periodStartDay: budget.periodStartDay } : {})
+                };
+            });
+
+        if (lines.length === 0) {
+            this.showAlert('Set some budgets before saving them as a template', 'error');
+            return;
+        }
+
+        this.budgetTemplates = this.budgetTemplates || [];
+        const existing = this.budgetTemplates.find(t => t.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+            Object.assign(existing, { name, lines, updatedAt: new Date().toISOString() });
+        } else {
+            this.budgetTemplates.push({ id: 'tmpl_' + Date.now().toString(), name, lines, createdAt: new Date().toISOString() });
+        }
+
+        this.saveData();
+        this.populateTemplateOptions((existing || this.budgetTemplates[this.budgetTemplates.length - 1]).id);
+        document.getElementById('templateName').value = '';
+        this.previewBudgetTemplate();
+        this.showAlert(`Template "${name}" saved`, 'success');
+    }
+
+    // Delete the selected saved template
+    deleteBudgetTemplate() {
+        const template = this.getSelectedTemplate();
+        if (!template || template.builtIn) return;
+        if (!confirm(`Delete the template "${template.name}"?`)) return;
+
+        this.budgetTemplates = this.budgetTemplates.filter(t => t.id !== template.id);
+        this.saveData();
+        this.populateTemplateOptions();
+        this.previewBudgetTemplate();
+    }
+
+    // Update budgets list
+    updateBudgetsList() {
+        const budgetsList = document.getElementById('currentBudgetsList');
+        
+        if (Object.keys(this.budgets).length === 0) {
+            budgetsList.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No budgets set</p>';
+            return;
+        }
+
+        budgetsList.innerHTML = Object.entries(this.budgets).map(([category, budget]) => {
+            const carryover = this.getBudgetCarryover(category, budget);
+            return `
+            <div class="budget-list-item">
+                <div>
+                    <div class="category">${category}</div>
+                    <div style="font-size: 0.8rem; color: #7f8c8d;">${this.describeBudgetPeriod(budget)} • ${this.formatPeriodRange(this.getBudgetPeriodRange(budget))}</div>
+                    ${this.describeCarryover(carryover) ? `<div style="font-size: 0.8rem; color: #7f8c8d;">${this.formatCurrency(budget.amount)} ${this.describeCarryover(carryover)}</div>` : ''}
+                </div>
+                <div class="amount">${this.formatCurrency((parseFloat(budget.amount) || 0) + carryover)}</div>
+                <div class="budget-actions">
+                    <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem; margin-right: 0.5rem;" onclick="app.editBudget('${category}')">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="remove-btn" onclick="app.removeBudget('${category}')">Remove</button>
+                </div>
+            </div>
+        `;
+        }).join('');
+    }
+
+    // Remove budget
+    removeBudget(category) {
+        if (confirm(`Remove budget for ${category}?`)) {
+            delete this.budgets[category];
+            if (this.editingBudgetCategory === category) {
+                this.resetBudgetForm();
+            }
+            this.saveData();
+            this.updateBudgetsList();
+            this.updateBudgetGrid();
+            this.showAlert('Budget removed successfully!', 'success');
+        }
+    }
+
+    // Display all transactions
+    displayAllTransactions() {
+        this.populateFilterOptions();
+        this.filterTransactions();
+    }
+
+    // Build the element for one All Transactions row
+    createTransactionListItem(transaction) {
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `
+            <div class="transaction-item">
+                <div class="transaction-info">
+                    <div class="transaction-icon ${transaction.type}">
+                        <i class="fas fa-${this.getTransactionIcon(transaction)}"></i>
+                    </div>
+                    <div class="transaction-details">
+                        <h4>${this.getTransactionTitle(transaction)}</h4>
+                        <p>${this.getTransactionMeta(transaction)}</p>
+                        ${(transaction.tags || []).length ? `<div class="transaction-tags">${transaction.tags.map(tag => `<span class="transaction-tag">#${tag}</span>`).join('')}</div>` : ''}
+                    </div>
+                </div>
+                <div class="transaction-amount ${transaction.type}">
+                    ${this.formatTransactionAmount(transaction)}
+                </div>
+                <div class="transaction-actions">
+                    <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem; margin-right: 0.5rem;" onclick="app.openTransactionModal(app.transactions.find(t => t.id === '${transaction.id}'))">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-danger" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" onclick="app.deleteTransaction('${transaction.id}')">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+        return wrapper.firstElementChild;
+    }
+
+    // Display filtered transactions, grouped by month when sorted by date, one page at a time
+    displayFilteredTransactions(transactions, filters = this.getTransactionFilters()) {
+        const container = document.getElementById('allTransactionsList');
+
+        this.transactionList = {
+            items: transactions,
+            filters,
+            grouped: filters.sort.startsWith('date'),
+            rendered: 0,
+            rows: new Map(),
+            months: {}
+        };
+        transactions.forEach(t => this.adjustMonthSubtotal(t, 1));
+
+        if (transactions.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <h3>No transactions found</h3>
+                    <p>Try adjusting your filters</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="transaction-list-more">
+                <span class="transaction-list-count"></span>
+                <button type="button" class="btn btn-outline" onclick="app.renderTransactionListPage()">
+                    <i class="fas fa-chevron-down"></i> Show more
+                </button>
+            </div>
+        `;
+        container.scrollTop = 0;
+        this.renderTransactionListPage();
+    }
+
+    // Append the next page of rows to the All Transactions list
+    renderTransactionListPage() {
+        const list = this.transactionList;
+        if (!list || list.rendered >= list.items.length) return;
+
+        list.items.slice(list.rendered, list.rendered + this.TRANSACTION_PAGE_SIZE).forEach(t => {
+            const row = this.createTransactionListItem(t);
+            list.rows.set(t.id, row);
+            this.getTransactionMonthGroup(this.getTransactionListKey(t)).querySelector('.transaction-month-rows').appendChild(row);
+        });
+        list.rendered = Math.min(list.items.length, list.rendered + this.TRANSACTION_PAGE_SIZE);
+        this.updateTransactionListFooter();
+    }
+
+    // Month group a row belongs in ('all' when the list isn't sorted by date)
+    getTransactionListKey(transaction) {
+        return this.transactionList.grouped ? (transaction.date || '').slice(0, 7) : 'all';
+    }
+
+    // Find a month group in the list, creating it before the given element (the footer by default)
+    getTransactionMonthGroup(key, before = null) {
+        const container = document.getElementById('allTransactionsList');
+        const existing = Array.from(container.querySelectorAll('.transaction-month')).find(group => group.dataset.month === key);
+        if (existing) return existing;
+
+        const group = document.createElement('section');
+        group.className = 'transaction-month';
+        group.dataset.month = key;
+        group.innerHTML = `${this.transactionList.grouped ? '<div class="transaction-month-header"></div>' : ''}<div class="transaction-month-rows"></div>`;
+        container.insertBefore(group, before || container.querySelector('.transaction-list-more'));
+        this.updateMonthSubtotalHeader(key);
+        return group;
+    }
+
+    // Add (sign 1) or take away (sign -1) a transaction from its month's subtotal
+    adjustMonthSubtotal(transaction, sign) {
+        const key = this.getTransactionListKey(transaction);
+        const months = this.transactionList.months;
+        const month = months[key] || (months[key] = { income: 0, expense: 0, count: 0 });
+
+        month.count += sign;
+        if (transaction.type === 'income') {
+            month.income += sign * this.toBaseAmount(transaction);
+        } else if (transaction.type === 'expense') {
+            month.expense += sign * this.toBaseAmount(transaction);
+        }
+    }
+
+    // Refresh a month header with the subtotal of every filtered transaction in that month
+    updateMonthSubtotalHeader(key) {
+        const list = this.transactionList;
+        if (!list.grouped) return;
+
+        const container = document.getElementById('allTransactionsList');
+        const group = Array.from(container.querySelectorAll('.transaction-month')).find(g => g.dataset.month === key);
+        if (!group) return;
+
+        const month = list.months[key] || { income: 0, expense: 0, count: 0 };
+        const net = month.income - month.expense;
+        group.querySelector('.transaction-month-header').innerHTML = `
+            <span class="transaction-month-title">${this.parseDateKey(`${key}-01`).toLocaleDateString(this.getLocale(), { month: 'long', year: 'numeric' })}</span>
+            <span class="transaction-month-totals">
+                ${month.count} transaction${month.count === 1 ? '' : 's'} •
+                <span class="income">+${this.formatCurrency(month.income)}</span> •
+                <span class="expense">-${this.formatCurrency(month.expense)}</span> •
+                <span class="${net >= 0 ? 'income' : 'expense'}">Net ${this.formatCurrency(net)}</span>
+            </span>
+        `;
+    }
+
+    // Show how much of the list is rendered and hide "Show more" once it all is
+    updateTransactionListFooter() {
+        const list = this.transactionList;
+        const footer = document.querySelector('#allTransactionsList .transaction-list-more');
+        if (!list || !footer) return;
+
+        footer.querySelector('.transaction-list-count').textContent = `Showing ${list.rendered} of ${list.items.length} transactions`;
+        footer.querySelector('button').style.display = list.rendered < list.items.length ? '' : 'none';
+    }
+
+    // Put a new or edited transaction into the list in place, without rebuilding it
+    insertTransactionListItem(transaction) {
+        const list = this.transactionList;
+        if (!list || list.items.length === 0) {
+            this.filterTransactions();
+            return;
+        }
+        if (this.getFilteredTransactions(list.filters, [transaction]).length === 0) return;
+
+        const sorter = this.getTransactionSorter(list.filters.sort);
+        let index = list.items.findIndex(item => sorter(transaction, item) < 0);
+        if (index === -1) index = list.items.length;
+        const wasRendered = index < list.rendered;
+        const key = this.getTransactionListKey(transaction);
+
+        list.items.splice(index, 0, transaction);
+        this.adjustMonthSubtotal(transaction, 1);
+
+        // Rows past the loaded pages are built when the user scrolls to them
+        if (wasRendered || list.rendered === list.items.length - 1) {
+            const row = this.createTransactionListItem(transaction);
+            const next = list.items[index + 1];
+            const nextRow = wasRendered ? list.rows.get(next.id) : null;
+
+            if (nextRow && this.getTransactionListKey(next) === key) {
+                nextRow.parentNode.insertBefore(row, nextRow);
+            } else {
+                const before = nextRow ? nextRow.closest('.transaction-month') : null;
+                this.getTransactionMonthGroup(key, before).querySelector('.transaction-month-rows').appendChild(row);
+            }
+            list.rows.set(transaction.id, row);
+            list.rendered++;
+        }
+
+        this.updateMonthSubtotalHeader(key);
+        this.updateTransactionListFooter();
+    }
+
+    // Take a deleted (or edited) transaction out of the list in place
+    removeTransactionListItem(id) {
+        const list = this.transactionList;
+        if (!list) return;
+
+        const index = list.items.findIndex(t => t.id === id);
+        if (index === -1) return;
+
+        const [transaction] = list.items.splice(index, 1);
+        this.adjustMonthSubtotal(transaction, -1);
+        if (list.items.length === 0) {
+            this.displayFilteredTransactions([], list.filters);
+            return;
+        }
+
+        const row = list.rows.get(id);
+        if (row) {
+            const group = row.closest('.transaction-month');
+            row.remove();
+            list.rows.delete(id);
+            list.rendered--;
+            if (group && !group.querySelector('.transaction-item')) {
+                group.remove();
+            }
+        }
+
+        this.updateMonthSubtotalHeader(this.getTransactionListKey(transaction));
+        this.updateTransactionListFooter();
+    }
+
+    // Filter transactions
+    filterTransactions() {
+        const filters = this.getTransactionFilters();
+        this.displayFilteredTransactions(this.getFilteredTransactions(filters), filters);
+    }
+
+    // Read the All Transactions filter fields
+    getTransactionFilters() {
+        const value = id => {
+            const field = document.getElementById(id);
+            return field ? field.value : '';
+        };
+        const categorySelect = document.getElementById('filterCategory');
+
+        return {
+            search: value('filterSearch').trim(),
+            categories: categorySelect ? Array.from(categorySelect.selectedOptions).map(option => option.value).filter(Boolean) : [],
+            type: value('filterType'),
+            dateFrom: value('filterDateFrom'),
+            dateTo: value('filterDateTo'),
+            accountId: value('filterAccount'),
+            tag: value('filterTag'),
+            amountMin: value('filterAmountMin'),
+            amountMax: value('filterAmountMax'),
+            amountExact: value('filterAmountExact'),
+            sort: value('filterSort') || 'date-desc'
+        };
+    }
+
+    // Transactions matching the All Transactions filters, in the chosen order
+    getFilteredTransactions(filters = this.getTransactionFilters(), transactions = this.transactions) {
+        const terms = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+        const amountMin = parseFloat(filters.amountMin);
+        const amountMax = parseFloat(filters.amountMax);
+        const amountExact = parseFloat(filters.amountExact);
+        const tag = filters.tag.toLowerCase();
+
+        let filtered = [...transactions];
+
+        if (terms.length) {
+            filtered = filtered.filter(t => {
+                const text = `${t.description || ''} ${t.notes || ''}`.toLowerCase();
+                return terms.every(term => text.includes(term));
+            });
+        }
+
+        if (filters.categories.length) {
+            filtered = filtered.filter(t => this.getCategoryPortions(t).some(portion => filters.categories.includes(portion.category)));
+        }
+
+        if (filters.type) {
+            filtered = filtered.filter(t => t.type === filters.type);
+        }
+
+        if (filters.dateFrom) {
+            filtered = filtered.filter(t => t.date >= filters.dateFrom);
+        }
+
+        if (filters.dateTo) {
+            filtered = filtered.filter(t => t.date <= filters.dateTo);
+        }
+
+        if (filters.accountId) {
+            filtered = filtered.filter(t => this.getTransactionAccountId(t) === filters.accountId || t.toAccountId === filters.accountId);
+        }
+
+        if (tag) {
+            filtered = filtered.filter(t => (t.tags || []).some(existing => existing.toLowerCase() === tag));
+        }
+
+        // Amounts are matched as entered, in the transaction's own currency
+        if (!isNaN(amountExact)) {
+            filtered = filtered.filter(t => Math.abs(Math.abs(t.amount) - amountExact) < 0.005);
+        }
+
+        if (!isNaN(amountMin)) {
+            filtered = filtered.filter(t => Math.abs(t.amount) >= amountMin);
+        }
+
+        if (!isNaN(amountMax)) {
+            filtered = filtered.filter(t => Math.abs(t.amount) <= amountMax);
+        }
+
+        return filtered.sort(this.getTransactionSorter(filters.sort));
+    }
+
+    // Compare function for a transaction list sort option
+    getTransactionSorter(sort) {
+        const byDateDesc = (a, b) => (b.date || '').localeCompare(a.date || '');
+        const sorters = {
+            'date-desc': byDateDesc,
+            'date-asc': (a, b) => (a.date || '').localeCompare(b.date || ''),
+            'amount-desc': (a, b) => this.toBaseAmount(b) - this.toBaseAmount(a) || byDateDesc(a, b),
+            'amount-asc': (a, b) => this.toBaseAmount(a) - this.toBaseAmount(b) || byDateDesc(a, b),
+            'category': (a, b) => this.getTransactionCategoryLabel(a).localeCompare(this.getTransactionCategoryLabel(b)) || byDateDesc(a, b)
+        };
+        return sorters[sort] || byDateDesc;
+    }
+
+    // Put a set of filter values back into the All Transactions fields
+    setTransactionFilters(filters) {
+        const setValue = (id, value) => {
+            const field = document.getElementById(id);
+            if (field) field.value = value || '';
+        };
+
+        setValue('filterSearch', filters.search);
+        setValue('filterType', filters.type);
+        setValue('filterDateFrom', filters.dateFrom);
+        setValue('filterDateTo', filters.dateTo);
+        setValue('filterAccount', filters.accountId);
+        setValue('filterTag', filters.tag);
+        setValue('filterAmountMin', filters.amountMin);
+        setValue('filterAmountMax', filters.amountMax);
+        setValue('filterAmountExact', filters.amountExact);
+        setValue('filterSort', filters.sort || 'date-desc');
+
+        const categorySelect = document.getElementById('filterCategory');
+        if (categorySelect) {
+            const categories = filters.categories || [];
+            Array.from(categorySelect.options).forEach(option => {
+                option.selected = categories.includes(option.value);
+            });
+        }
+    }
+
+    // Reset every All Transactions filter
+    clearTransactionFilters() {
+        this.setTransactionFilters({});
+        const presetSelect = document.getElementById('filterPreset');
+        if (presetSelect) presetSelect.value = '';
+        this.filterTransactions();
+    }
+
+    // Saved filter presets live in settings so they sync and export with them
+    getFilterPresets() {
+        return (this.settings && this.settings.filterPresets) || [];
+    }
+
+    // Fill the account, tag and saved-filter dropdowns
+    populateFilterOptions() {
+        const fillSelect = (id, placeholder, options) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = `<option value="">${placeholder}</option>` +
+                options.map(option => `<option value="${option.value}">${option.label}</option>`).join('');
+            select.value = options.some(option => option.value === current) ? current : '';
+        };
+
+        const tags = this.getAllTags();
+        fillSelect('filterAccount', 'All Accounts', (this.accounts || []).map(account => ({ value: account.id, label: account.name })));
+        fillSelect('filterTag', 'All Tags', tags.map(tag => ({ value: tag, label: `#${tag}` })));
+        fillSelect('filterPreset', 'Choose a saved filter', this.getFilterPresets().map(preset => ({ value: preset.id, label: preset.name })));
+
+        const tagOptions = document.getElementById('transactionTagOptions');
+        if (tagOptions) {
+            tagOptions.innerHTML = tags.map(tag => `<option value="${tag}">`).join('');
+        }
+    }
+
+    // Every tag used on a transaction, sorted
+    getAllTags() {
+        const tags = new Map();
+        this.transactions.forEach(t => {
+            (t.tags || []).forEach(tag => {
+                if (!tags.has(tag.toLowerCase())) {
+                    tags.set(tag.toLowerCase(), tag);
+                }
+            });
+        });
+        return [...tags.values()].sort((a, b) => a.localeCompare(b));
+    }
+
+    // Save the current filters under a name, replacing a preset with the same name
+    saveFilterPreset() {
+        const nameInput = document.getElementById('filterPresetName');
+        const name = nameInput.value.trim();
+        if (!name) {
+            this.showAlert('Enter a name for this filter', 'error');
+            return;
+        }
+
+        const presets = this.getFilterPresets();
+        const existing = presets.find(preset => preset.name.toLowerCase() === name.toLowerCase());
+        const preset = {
+            id: existing ? existing.id : 'filter_' + Date.now().toString(),
+            name,
+            filters: this.getTransactionFilters()
+        };
+
+        this.settings = {
+            ...this.settings,
+            filterPresets: existing
+                ? presets.map(p => p.id === existing.id ? preset : p)
+                : [...presets, preset]
+        };
+        this.saveData();
+
+        nameInput.value = '';
+        this.populateFilterOptions();
+        document.getElementById('filterPreset').value = preset.id;
+        this.showAlert(`Filter "${name}" saved!`, 'success');
+    }
+
+    // Apply a saved filter preset
+    applyFilterPreset(id) {
+        const preset = this.getFilterPresets().find(p => p.id === id);
+        if (!preset) return;
+
+        this.setTransactionFilters(preset.filters);
+        this.filterTransactions();
+    }
+
+    // Delete the selected filter preset
+    deleteFilterPreset() {
+        const presetSelect = document.getElementById('filterPreset');
+        const preset = this.getFilterPresets().find(p => p.id === presetSelect.value);
+        if (!preset) {
+            this.showAlert('Choose a saved filter to delete', 'error');
+            return;
+        }
+
+        if (confirm(`Delete the saved filter "${preset.name}"?`)) {
+            this.settings = {
+                ...this.settings,
+                filterPresets: this.getFilterPresets().filter(p => p.id !== preset.id)
+            };
+            this.saveData();
+            this.populateFilterOptions();
+            this.showAlert('Saved filter deleted', 'success');
+        }
+    }
+
+    // Delete transaction
+    deleteTransaction(id) {
+        if (confirm('Delete this transaction?')) {
+            const previous = this.transactions;
+            this.transactions = previous.filter(t => t.id !== id);
+            this.updateAggregateIndex(previous.find(t => t.id === id), null, previous);
+            this.saveData();
+            this.updateDashboard();
+            this.populateFilterOptions();
+            this.removeTransactionListItem(id);
+            this.showAlert('Transaction deleted successfully!', 'success');
+        }
+    }
+
+    // Check alerts
+    checkAlerts() {
+        const { balance } = this.calculateBalance();
+        
+        // Low balance alert
+        if (balance < this.settings.lowBalanceThreshold) {
+            this.showAlert(`Low balance warning: ${this.formatCurrency(balance)}`, 'warning');
+        } else {
+            // Projected dip within the next 30 days
+            const { firstDip, nextIncomeKey } = this.getCashFlowForecast(30);
+            if (firstDip) {
+                const beforeIncome = nextIncomeKey && nextIncomeKey > firstDip.dateKey ? ' before your next income' : '';
+                this.showAlert(`Balance projected to drop to ${this.formatCurrency(firstDip.balance)} on ${this.formatDate(firstDip.dateKey)}${beforeIncome}`, 'warning');
+            }
+        }
+
+        // Budget overspending alerts
+        Object.entries(this.budgets).forEach(([category, budget]) => {
+            const spent = this.calculateCategorySpending(category, budget);
+            const limit = this.getEffectiveBudgetLimit(category, budget);
+            const percentage = limit > 0 ? (spent / limit) * 100 : (spent > 0 ? 100 : 0);
+            
+            if (percentage >= 100) {
+                this.showAlert(`Budget exceeded for ${category}!`, 'danger');
+            } else if (percentage >= this.settings.overspendingAlert) {
+                this.showAlert(`Approaching budget limit for ${category} (${percentage.toFixed(0)}%)`, 'warning');
+            }
+        });
+    }
+
+    // Average daily spending that isn't a recurring item, over the last few months (or the history there is), in the base currency
+    getDiscretionaryDailySpending(days = 90) {
+        const today = new Date();
+        const startKey = this.toDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1));
+        const todayKey = this.toDateKey(today);
+        const total = this.getAggregateTotals({ startKey, endKey: todayKey }).discretionary;
+
+        // Average over the days the history actually covers so a short history isn't diluted
+        const firstKey = this.getFirstTransactionDate();
+        const fromKey = firstKey && firstKey < todayKey ? firstKey : todayKey;
+        const covered = Math.round((this.parseDateKey(todayKey) - this.parseDateKey(fromKey)) / (1000 * 60 * 60 * 24)) + 1;
+        return total / Math.min(days, covered);
+    }
+
+    // Project the daily balance from today's balance, upcoming recurring items and average discretionary spending
+    getCashFlowForecast(days = 30) {
+        const threshold = parseFloat(this.settings.lowBalanceThreshold) || 0;
+        const dailySpending = this.getDiscretionaryDailySpending();
+        const recurringByDay = {};
+
+        this.getUpcomingRecurring(days)
+            .filter(item => !item.skipped && item.transaction.type !== 'transfer')
+            .forEach(item => {
+                (recurringByDay[item.dateKey] = recurringByDay[item.dateKey] || []).push(item.transaction);
+            });
+
+        const today = new Date();
+        let balance = this.calculateBalance().balance;
+        const points = [{ dateKey: this.toDateKey(today), balance, items: [] }];
+
+        for (let day = 1; day <= days; day++) {
+            const dateKey = this.toDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() + day));
+            const items = recurringByDay[dateKey] || [];
+            items.forEach(t => {
+                const amount = this.toBaseAmount(t, parseFloat(t.amount) || 0);
+                balance += t.type === 'income' ? amount : -amount;
+            });
+            balance -= dailySpending;
+            points.push({ dateKey, balance, items });
+        }
+
+        const lowest = points.reduce((low, point) => point.balance < low.balance ? point : low, points[0]);
+        const nextIncome = points.find(point => point.items.some(t => t.type === 'income'));
+        // Today's balance is already covered by the low-balance alert
+        const firstDip = points.slice(1).find(point => point.balance < threshold) || null;
+
+        return {
+            points,
+            threshold,
+            dailySpending,
+            lowest,
+            firstDip,
+            nextIncomeKey: nextIncome ? nextIncome.dateKey : null
+        };
+    }
+
+    // Open the forecast with the last chosen horizon
+    openForecastModal() {
+        this.openModal('forecastModal');
+        this.updateForecast();
+    }
+
+    // Render the forecast summary and chart
+    updateForecast() {
+        const days = parseInt(document.getElementById('forecastDays').value, 10) || 30;
+        const forecast = this.getCashFlowForecast(days);
+        const summary = document.getElementById('forecastSummary');
+
+        const dip = forecast.firstDip;
+        summary.className = `forecast-summary ${dip ? 'warning' : 'safe'}`;
+        summary.innerHTML = dip
+            ? `<i class="fas fa-exclamation-triangle"></i> Projected to fall below ${this.formatCurrency(forecast.threshold)} on ${this.formatDate(dip.dateKey)}` +
+              (forecast.nextIncomeKey && forecast.nextIncomeKey > dip.dateKey ? `, before your next income on ${this.formatDate(forecast.nextIncomeKey)}` : '') +
+              `. Lowest point: ${this.formatCurrency(forecast.lowest.balance)} on ${this.formatDate(forecast.lowest.dateKey)}.`
+            : `<i class="fas fa-check-circle"></i> Stays above ${this.formatCurrency(forecast.threshold)} for the next ${days} days. ` +
+              `Lowest point: ${this.formatCurrency(forecast.lowest.balance)} on ${this.formatDate(forecast.lowest.dateKey)}.`;
+
+        document.getElementById('forecastAssumptions').textContent =
+            `Assumes ${this.formatCurrency(forecast.dailySpending)} a day of everyday spending (your 90-day average) plus your recurring transactions.`;
+
+        const ctx = document.getElementById('forecastChart');
+        if (!ctx) return;
+
+        if (this.forecastChart) {
+            this.forecastChart.destroy();
+        }
+
+        this.forecastChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: forecast.points.map(point => this.formatDate(point.dateKey)),
+                datasets: [
+                    {
+                        label: 'Projected Balance',
+                        data: forecast.points.map(point => Math.round(point.balance * 100) / 100),
+                        borderColor: '#667eea',
+                        backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                        fill: true,
+                        pointRadius: forecast.points.map(point => point.items.length > 0 ? 3 : 0),
+                        tension: 0.2
+                    },
+                    {
+                        label: 'Low Balance Threshold',
+                        data: forecast.points.map(() => forecast.threshold),
+                        borderColor: '#e74c3c',
+                        borderDash: [6, 4],
+                        pointRadius: 0,
+                        fill: false
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        ticks: {
+                            callback: (value) => this.formatCurrency(value)
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${this.formatCurrency(context.parsed.y)}`,
+                            afterLabel: (context) => context.datasetIndex === 0
+                                ? forecast.points[context.dataIndex].items.map(t => `${t.description || t.category}: ${t.type === 'income' ? '+' : '-'}${this.formatCurrency(this.toBaseAmount(t, parseFloat(t.amount) || 0))}`)
+                                : []
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Get the start and end (last day) of the budget period containing a date (today by default)
+    getBudgetPeriodRange(budget, referenceDate = new Date()) {
+        const { period, periodStartDay, startDate, endDate } = typeof budget === 'string' ? { period: budget } : (budget || {});
+        const now = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate());
+
+        switch (period) {
+            case 'weekly': {
+                // Calendar week starting on the configured first day of the week
+                const firstDay = (this.settings && this.settings.firstDayOfWeek) || 0;
+                const offset = (now.getDay() - firstDay + 7) % 7;
+                return {
+                    start: new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset),
+                    end: new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset + 6)
+                };
+            }
+            case 'paycycle': {
+                // Runs from the start day to the day before it next month, clamped to short months
+                const day = Math.min(Math.max(parseInt(periodStartDay, 10) || 1, 1), 31);
+                const cycleStart = (year, month) => new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+                let start = cycleStart(now.getFullYear(), now.getMonth());
+                if (start > now) {
+                    start = cycleStart(now.getFullYear(), now.getMonth() - 1);
+                }
+                const next = cycleStart(start.getFullYear(), start.getMonth() + 1);
+                return {
+                    start: start,
+                    end: new Date(next.getFullYear(), next.getMonth(), next.getDate() - 1)
+                };
+            }
+            case 'quarterly': {
+                const quarterStart = Math.floor(now.getMonth() / 3) * 3;
+                return {
+                    start: new Date(now.getFullYear(), quarterStart, 1),
+                    end: new Date(now.getFullYear(), quarterStart + 3, 0)
+                };
+            }
+            case 'yearly':
+                return {
+                    start: new Date(now.getFullYear(), 0, 1),
+                    end: new Date(now.getFullYear(), 11, 31)
+                };
+            case 'custom':
+                if (startDate && endDate) {
+                    return {
+                        start: this.parseDateKey(startDate),
+                        end: this.parseDateKey(endDate)
+                    };
+                }
+                // A custom budget without dates behaves like a monthly one
+                return this.getBudgetPeriodRange('monthly', referenceDate);
+            case 'monthly':
+            default:
+                return {
+                    start: new Date(now.getFullYear(), now.getMonth(), 1),
+                    end: new Date(now.getFullYear(), now.getMonth() + 1, 0)
+                };
+        }
+    }
+
+    // Amount carried into the current period from earlier periods under the budget's rollover mode
+    getBudgetCarryover(category, budget, referenceDate = new Date()) {
+        const mode = budget.rollover || 'none';
+        if (mode === 'none' || budget.period === 'custom' || !budget.rolloverStart) return 0;
+
+        const cap = parseFloat(budget.rolloverCap);
+        const current = this.getBudgetPeriodRange(budget, referenceDate);
+        let range = this.getBudgetPeriodRange(budget, this.parseDateKey(budget.rolloverStart));
+        let carry = 0;
+
+        // Walk forward one period at a time; the guard only matters for corrupt dates
+        for (let guard = 0; range.end < current.start && guard < 1000; guard++) {
+            const amount = this.getBudgetAmount(budget, this.toDateKey(range.start));
+            const leftover = amount + carry - this.calculateCategorySpending(category, budget, range);
+
+            if (mode === 'surplus') carry = Math.max(0, leftover);
+            else if (mode === 'deficit') carry = Math.min(0, leftover);
+            else carry = leftover;
+
+            if (!isNaN(cap) && cap >= 0) {
+                carry = Math.max(-cap, Math.min(cap, carry));
+            }
+
+            const next = new Date(range.end);
+            next.setDate(next.getDate() + 1);
+            range = this.getBudgetPeriodRange(budget, next);
+        }
+
+        return carry;
+    }
+
+    // Budget limit for the current period including any rolled-over amount
+    getEffectiveBudgetLimit(category, budget, referenceDate = new Date()) {
+        return (parseFloat(budget.amount) || 0) + this.getBudgetCarryover(category, budget, referenceDate);
+    }
+
+    // Amount a budget had in the period starting on dateKey, falling back to its earliest known amount
+    getBudgetAmount(budget, dateKey) {
+        const history = budget.amountHistory || [];
+        if (!history.length) return parseFloat(budget.amount) || 0;
+
+        const entry = [...history].reverse().find(h => h.from <= dateKey) || history[0];
+        return parseFloat(entry.amount) || 0;
+    }
+
+    // Record an amount change against the period it takes effect in; an empty `from` means "always"
+    updateBudgetAmountHistory(budget, previous) {
+        const history = previous && previous.amountHistory ? [...previous.amountHistory] : [];
+        if (previous && !history.length) {
+            history.push({ from: '', amount: parseFloat(previous.amount) || 0 });
+        }
+
+        const last = history[history.length - 1];
+        if (last && last.amount === budget.amount) return history;
+
+        // Several edits within one period collapse into a single entry
+        const from = this.toDateKey(this.getBudgetPeriodRange(budget).start);
+        while (history.length && history[history.length - 1].from >= from) {
+            history.pop();
+        }
+        history.push({ from, amount: budget.amount });
+        return history;
+    }
+
+    // Budgeted vs. actual for each past or current period of a budget that overlaps the date range
+    getBudgetHistory(category, budget, fromKey, toKey) {
+        const today = this.toDateKey(new Date());
+        const lastKey = toKey < today ? toKey : today;
+        const rows = [];
+        let range = this.getBudgetPeriodRange(budget, this.parseDateKey(fromKey));
+
+        for (let guard = 0; this.toDateKey(range.start) <= lastKey && guard < 1000; guard++) {
+            const startKey = this.toDateKey(range.start);
+            const endKey = this.toDateKey(range.end);
+
+            if (endKey >= fromKey) {
+                const budgeted = this.getBudgetAmount(budget, startKey);
+                const actual = this.calculateCategorySpending(category, budget, range);
+                rows.push({ range, budgeted, actual, variance: budgeted - actual, current: endKey >= today });
+            }
+
+            // A custom range is a single period
+            if (budget.period === 'custom') break;
+
+            const next = new Date(range.end);
+            next.setDate(next.getDate() + 1);
+            range = this.getBudgetPeriodRange(budget, next);
+        }
+
+        return rows;
+    }
+
+    // Open the budget history report, defaulting to the last six months
+    openBudgetHistoryModal() {
+        const categorySelect = document.getElementById('historyCategory');
+        if (categorySelect) {
+            const selected = categorySelect.value;
+            categorySelect.innerHTML = '<option value="">All Budgets</option>' +
+                Object.keys(this.budgets).map(cat => `<option value="${cat}">${cat}</option>`).join('');
+            categorySelect.value = this.budgets[selected] ? selected : '';
+        }
+
+        const dateFrom = document.getElementById('historyDateFrom');
+        const dateTo = document.getElementById('historyDateTo');
+        if (dateFrom && !dateFrom.value) {
+            const today = new Date();
+            dateFrom.value = this.toDateKey(new Date(today.getFullYear(), today.getMonth() - 5, 1));
+        }
+        if (dateTo && !dateTo.value) {
+            dateTo.value = this.toDateKey(new Date());
+        }
+
+        this.updateBudgetHistory();
+        this.openModal('budgetHistoryModal');
+    }
+
+    // Render the budgeted vs. actual tables for the selected budgets and date range
+    updateBudgetHistory() {
+        const list = document.getElementById('budgetHistoryList');
+        if (!list) return;
+
+        const selected = document.getElementById('historyCategory').value;
+        const fromKey = document.getElementById('historyDateFrom').value;
+        const toKey = document.getElementById('historyDateTo').value || this.toDateKey(new Date());
+
+        if (!fromKey || toKey < fromKey) {
+            list.innerHTML = '<p style="color: #7f8c8d; text-align: center;">Choose a From date on or before the To date</p>';
+            return;
+        }
+
+        const budgets = Object.entries(this.budgets).filter(([category]) => !selected || category === selected);
+        if (budgets.length === 0) {
+            list.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No budgets set</p>';
+            return;
+        }
+
+        list.innerHTML = budgets.map(([category, budget]) => {
+            const rows = this.getBudgetHistory(category, budget, fromKey, toKey);
+            const totalVariance = rows.reduce((sum, row) => sum + row.variance, 0);
+
+            return `
+                <div class="budget-history-item">
+                    <div class="budget-history-header">
+                        <div>
+                            <div class="category">${category}</div>
+                            <div style="font-size: 0.8rem; color: #7f8c8d;">${this.describeBudgetPeriod(budget)} • ${rows.length} period${rows.length === 1 ? '' : 's'}</div>
+                        </div>
+                        ${this.renderSparkline(rows)}
+                        <div class="budget-history-total ${totalVariance < 0 ? 'over' : 'under'}">
+                            ${this.formatCurrency(Math.abs(totalVariance))} ${totalVariance < 0 ? 'over' : 'under'}
+                        </div>
+                    </div>
+                    ${rows.length === 0 ? '<p style="color: #7f8c8d; padding: 0.5rem 0;">No periods in this date range</p>' : `
+                    <table class="budget-history-table">
+                        <thead>
+                            <tr><th>Period</th><th>Budgeted</th><th>Actual</th><th>Variance</th></tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr>
+                                    <td>${this.formatPeriodRange(row.range)}${row.current ? ' <small>(in progress)</small>' : ''}</td>
+                                    <td>${this.formatCurrency(row.budgeted)}</td>
+                                    <td>${this.formatCurrency(row.actual)}</td>
+                                    <td class="${row.variance < 0 ? 'over' : 'under'}">${row.variance < 0 ? '-' : '+'}${this.formatCurrency(Math.abs(row.variance))}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>`}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Small inline chart of actual spending against the budgeted amount over the periods
+    renderSparkline(rows) {
+        if (rows.length < 2) return '';
+
+        const width = 120;
+        const height = 32;
+        const max = Math.max(1, ...rows.map(row => Math.max(row.actual, row.budgeted)));
+        const points = values => values.map((value, i) =>
+            `${(i / (rows.length - 1) * width).toFixed(1)},${(height - 1 - value / max * (height - 2)).toFixed(1)}`
+        ).join(' ');
+
+        return `
+            <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <polyline class="sparkline-budget" points="${points(rows.map(row => row.budgeted))}"/>
+                <polyline class="sparkline-actual" points="${points(rows.map(row => row.actual))}"/>
+            </svg>
+        `;
+    }
+
+    // Whether income is assigned to envelopes instead of budgets starting fresh each period
+    isEnvelopeMode() {
+        return !!(this.settings && this.settings.envelopeMode);
+    }
+
+    // First day whose income and spending count towards the envelopes
+    getEnvelopeStart() {
+        if (this.settings && this.settings.envelopeStart) return this.settings.envelopeStart;
+        const today = new Date();
+        return this.toDateKey(new Date(today.getFullYear(), today.getMonth(), 1));
+    }
+
+    // Categories that have an envelope: every budget plus anything money was moved into
+    getEnvelopeCategories() {
+        const categories = Object.keys(this.budgets || {});
+        (this.envelopeMoves || []).forEach(move => {
+            [move.from, move.to].forEach(category => {
+                if (category && !categories.includes(category)) categories.push(category);
+            });
+        });
+        return categories;
+    }
+
+    // Ready-to-assign pool and per-envelope assigned, spent and available amounts in the base currency
+    getEnvelopeBalances() {
+        const start = this.getEnvelopeStart();
+        const envelopes = {};
+        this.getEnvelopeCategories().forEach(category => {
+            envelopes[category] = { assigned: 0, spent: 0, available: 0 };
+        });
+
+        const totals = this.getAggregateTotals({ startKey: start, endKey: '9999-12-31' });
+        let readyToAssign = totals.income;
+        Object.entries(totals.spending).forEach(([category, amount]) => {
+            if (envelopes[category]) envelopes[category].spent += amount;
+        });
+
+        // An empty from/to is the ready-to-assign pool; moves before the start don't count, like their income
+        (this.envelopeMoves || []).filter(move => move.date >= start).forEach(move => {
+            const amount = parseFloat(move.amount) || 0;
+            if (move.from) envelopes[move.from].assigned -= amount;
+            else readyToAssign -= amount;
+            if (move.to) envelopes[move.to].assigned += amount;
+            else readyToAssign += amount;
+        });
+
+        Object.values(envelopes).forEach(envelope => {
+            envelope.available = envelope.assigned - envelope.spent;
+        });
+
+        return { readyToAssign, envelopes };
+    }
+
+    // Show the ready-to-assign card on the dashboard while envelope mode is on
+    updateEnvelopeSummary() {
+        const card = document.getElementById('envelopeCard');
+        if (!card) return;
+
+        card.style.display = this.isEnvelopeMode() ? 'block' : 'none';
+        if (!this.isEnvelopeMode()) return;
+
+        const { readyToAssign, envelopes } = this.getEnvelopeBalances();
+        const amount = document.getElementById('readyToAssign');
+        amount.textContent = this.formatCurrency(readyToAssign);
+        amount.className = `balance-amount ${readyToAssign < 0 ? 'negative' : 'positive'}`;
+
+        const overspent = Object.entries(envelopes).filter(([, envelope]) => envelope.available < 0);
+        document.getElementById('envelopeSummaryNote').textContent = readyToAssign < 0
+            ? 'More is assigned than you have received. Move money back from an envelope.'
+            : overspent.length > 0
+                ? `Overspent: ${overspent.map(([category]) => category).join(', ')}`
+                : readyToAssign > 0 ? 'Assign the rest to your envelopes.' : 'Everything is assigned.';
+    }
+
+    // Open the envelope manager
+    openEnvelopeModal(toCategory = '') {
+        const options = ['<option value="">Ready to Assign</option>']
+            .concat(this.getEnvelopeCategories().map(cat => `<option value="${cat}">${cat}</option>`))
+            .join('');
+        document.getElementById('envelopeFrom').innerHTML = options;
+        document.getElementById('envelopeTo').innerHTML = options;
+        document.getElementById('envelopeForm').reset();
+        document.getElementById('envelopeTo').value = toCategory;
+        document.getElementById('envelopeDate').value = this.toDateKey(new Date());
+        this.updateEnvelopeList();
+        this.openModal('envelopeModal');
+    }
+
+    // Record money moving from the pool or an envelope into another
+    saveEnvelopeMove() {
+        const from = document.getElementById('envelopeFrom').value;
+        const to = document.getElementById('envelopeTo').value;
+        const amount = parseFloat(document.getElementById('envelopeAmount').value);
+        const date = document.getElementById('envelopeDate').value || this.toDateKey(new Date());
+        const note = document.getElementById('envelopeNote').value.trim();
+
+        if (!(amount > 0)) {
+            this.showAlert('Enter an amount greater than zero', 'error');
+            return;
+        }
+        if (from === to) {
+            this.showAlert('Choose two different places to move money between', 'error');
+            return;
+        }
+        if (date < this.getEnvelopeStart()) {
+            this.showAlert(`Envelope budgeting starts on ${this.formatDate(this.getEnvelopeStart())}; choose a later date`, 'error');
+            return;
+        }
+
+        const { readyToAssign, envelopes } = this.getEnvelopeBalances();
+        const available = from ? envelopes[from].available : readyToAssign;
+        if (amount > available + 0.005) {
+            this.showAlert(`Only ${this.formatCurrency(Math.max(available, 0))} is available in ${from || 'Ready to Assign'}`, 'error');
+            return;
+        }
+
+        this.envelopeMoves.push({
+            id: 'env_' + Date.now().toString(),
+            date,
+            from,
+            to,
+            amount,
+            note,
+            createdAt: new Date().toISOString()
+        });
+
+        this.saveData();
+        document.getElementById('envelopeAmount').value = '';
+        document.getElementById('envelopeNote').value = '';
+        this.updateEnvelopeList();
+        this.updateDashboard();
+        this.showAlert(`Moved ${this.formatCurrency(amount)} to ${to || 'Ready to Assign'}`, 'success');
+    }
+
+    // Undo an envelope move
+    deleteEnvelopeMove(moveId) {
+        if (!confirm('Undo this move?')) return;
+
+        this.envelopeMoves = this.envelopeMoves.filter(move => move.id !== moveId);
+        this.queueCloudDelete('envelopeMoves', 'move_id', moveId);
+        this.saveData();
+        this.updateEnvelopeList();
+        this.updateDashboard();
+    }
+
+    // Render envelope balances and the latest moves
+    updateEnvelopeList() {
+        const list = document.getElementById('envelopeList');
+        const movesList = document.getElementById('envelopeMovesList');
+        if (!list) return;
+
+        const { readyToAssign, envelopes } = this.getEnvelopeBalances();
+        document.getElementById('envelopeReadyAmount').textContent = this.formatCurrency(readyToAssign);
+
+        const entries = Object.entries(envelopes);
+        list.innerHTML = entries.length === 0
+            ? '<p style="color: #7f8c8d;">Set a budget to create your first envelope.</p>'
+            : entries.map(([category, envelope]) => `
+                <div class="budget-list-item">
+                    <div>
+                        <div class="category">${category}</div>
+                        <div style="font-size: 0.8rem; color: #7f8c8d;">${this.formatCurrency(envelope.assigned)} assigned • ${this.formatCurrency(envelope.spent)} spent</div>
+                    </div>
+                    <div class="amount ${envelope.available < 0 ? 'expense' : ''}">${this.formatCurrency(envelope.available)}</div>
+                    <div class="budget-actions">
+                        <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" onclick="app.openEnvelopeModal('${category}')">
+                            <i class="fas fa-plus"></i>
+                        </button>
+                    </div>
+                </div>
+            `).join('');
+
+        if (!movesList) return;
+        const moves = [...this.envelopeMoves]
+            .sort((a, b) => b.date.localeCompare(a.date) || (b.createdAt || '').localeCompare(a.createdAt || ''))
+            .slice(0, 20);
+
+        movesList.innerHTML = moves.length === 0
+            ? '<p style="color: #7f8c8d;">No money assigned yet.</p>'
+            : moves.map(move => `
+                <div class="budget-list-item">
+                    <div>
+                        <div class="category">${move.from || 'Ready to Assign'} → ${move.to || 'Ready to Assign'}</div>
+                        <div style="font-size: 0.8rem; color: #7f8c8d;">${this.formatDate(move.date)}${move.note ? ` • ${move.note}` : ''}</div>
+                    </div>
+                    <div class="amount">${this.formatCurrency(move.amount)}</div>
+                    <div class="budget-actions">
+                        <button class="remove-btn" onclick="app.deleteEnvelopeMove('${move.id}')">Undo</button>
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    // Short note describing the rolled-over part of a budget limit
+    describeCarryover(carryover) {
+        if (Math.abs(carryover) < 0.005) return '';
+        return carryover > 0
+            ? `+${this.formatCurrency(carryover)} rolled over`
+            : `${this.formatCurrency(carryover)} deficit carried`;
+    }
+
+    // Short "Oct 15 – Nov 14" label for a budget period
+    formatPeriodRange({ start, end }) {
+        return `${this.formatDate(start)} – ${this.formatDate(end)}`;
+    }
+
+    // Human-readable name of a budget's period setting
+    describeBudgetPeriod(budget) {
+        switch (budget.period) {
+            case 'weekly': return 'Weekly';
+            case 'paycycle': return `Pay cycle from day ${budget.periodStartDay || 1}`;
+            case 'quarterly': return 'Quarterly';
+            case 'yearly': return 'Yearly';
+            case 'custom': return 'Custom range';
+            default: return 'Monthly';
+        }
+    }
+
+    // Calculate category spending within a budget's period (or a given { start, end } range)
+    calculateCategorySpending(category, budget, range = this.getBudgetPeriodRange(budget)) {
+        const totals = this.getAggregateTotals({ startKey: this.toDateKey(range.start), endKey: this.toDateKey(range.end) });
+        return totals.spending[category] || 0;
+    }
+
+    // Format a Date as a local YYYY-MM-DD key
+    toDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    // Parse a YYYY-MM-DD key as a local date (new Date('YYYY-MM-DD') parses as UTC)
+    parseDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Post recurring transactions that are due and persist the updated rules
+    applyRecurringTransactions() {
+        if (!Array.isArray(this.recurringRules) || this.recurringRules.length === 0) return 0;
+
+        const posted = this.postDueRecurringTransactions();
+        this.saveData();
+
+        if (posted > 0) {
+            console.log(`Posted ${posted} recurring transaction(s)`);
+        }
+        return posted;
+    }
+
+    // Materialize every occurrence up to today that has not been posted yet
+    postDueRecurringTransactions() {
+        if (!Array.isArray(this.recurringRules)) {
+            this.recurringRules = [];
+        }
+
+        const todayKey = this.toDateKey(new Date());
+        const existingIds = new Set(this.transactions.map(t => t.id));
+        let posted = 0;
+
+        this.recurringRules.forEach(rule => {
+            this.getRecurringOccurrences(rule, rule.postedThrough, todayKey).forEach(dateKey => {
+                const exception = (rule.exceptions || {})[dateKey];
+                if (exception && exception.skip) return;
+
+                const transaction = this.buildRecurringTransaction(rule, dateKey);
+                if (existingIds.has(transaction.id)) return;
+
+                this.transactions.push(transaction);
+                existingIds.add(transaction.id);
+                posted++;
+            });
+
+            // Never re-post occurrences the user has since deleted
+            if (!rule.postedThrough || rule.postedThrough < todayKey) {
+                rule.postedThrough = todayKey;
+            }
+        });
+
+        return posted;
+    }
+
+    // Build the transaction for one occurrence, applying any single-instance edit
+    buildRecurringTransaction(rule, dateKey) {
+        const exception = (rule.exceptions || {})[dateKey] || {};
+
+        return {
+            id: `${rule.id}_${dateKey}`,
+            type: rule.type,
+            amount: exception.amount !== undefined ? exception.amount : rule.amount,
+            category: rule.category,
+            description: exception.description !== undefined ? exception.description : rule.description,
+            date: dateKey,
+            recurringId: rule.id
+        };
+    }
+
+    // List occurrence dates of a rule after afterKey (exclusive) up to toKey (inclusive)
+    getRecurringOccurrences(rule, afterKey, toKey) {
+        const dates = [];
+        const maxIterations = 10000;
+        let count = 0;
+
+        for (let index = 0; index < maxIterations; index++) {
+            const dateKey = this.toDateKey(this.getRecurringOccurrenceDate(rule, index));
+
+            // Month-end options can land before the start date in the first period
+            if (dateKey < rule.startDate) continue;
+            if (dateKey > toKey) break;
+            if (rule.endType === 'date' && rule.endDate && dateKey > rule.endDate) break;
+            if (rule.endType === 'count' && count >= rule.occurrences) break;
+
+            count++;
+            if (!afterKey || dateKey > afterKey) {
+                dates.push(dateKey);
+            }
+        }
+
+        return dates;
+    }
+
+    // Calculate the date of the nth occurrence of a rule
+    getRecurringOccurrenceDate(rule, index) {
+        const start = this.parseDateKey(rule.startDate);
+        const year = start.getFullYear();
+        const month = start.getMonth();
+        const day = start.getDate();
+
+        switch (rule.frequency) {
+            case 'daily':
+                return new Date(year, month, day + index);
+            case 'weekly':
+                return new Date(year, month, day + index * 7);
+            case 'biweekly':
+                return new Date(year, month, day + index * 14);
+            case 'yearly':
+                return this.resolveRecurringDay(year + index, month, day, rule.dayOption);
+            case 'monthly':
+            default:
+                return this.resolveRecurringDay(year, month + index, day, rule.dayOption);
+        }
+    }
+
+    // Resolve the posting day within a month for monthly and yearly rules
+    resolveRecurringDay(year, month, day, dayOption) {
+        const lastDay = new Date(year, month + 1, 0);
+
+        if (dayOption === 'last-day') {
+            return lastDay;
+        }
+
+        if (dayOption === 'last-business-day') {
+            while (lastDay.getDay() === 0 || lastDay.getDay() === 6) {
+                lastDay.setDate(lastDay.getDate() - 1);
+            }
+            return lastDay;
+        }
+
+        // Clamp e.g. the 31st to the last day of shorter months
+        return new Date(lastDay.getFullYear(), lastDay.getMonth(), Math.min(day, lastDay.getDate()));
+    }
+
+    // Get upcoming occurrences across all rules for the next few days
+    getUpcomingRecurring(days = 30) {
+        const today = new Date();
+        const todayKey = this.toDateKey(today);
+        const untilKey = this.toDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() + days));
+        const upcoming = [];
+
+        (this.recurringRules || []).forEach(rule => {
+            const afterKey = rule.postedThrough && rule.postedThrough > todayKey ? rule.postedThrough : todayKey;
+            this.getRecurringOccurrences(rule, afterKey, untilKey).forEach(dateKey => {
+                const exception = (rule.exceptions || {})[dateKey] || {};
+                upcoming.push({
+                    rule: rule,
+                    dateKey: dateKey,
+                    skipped: !!exception.skip,
+                    edited: exception.amount !== undefined || exception.description !== undefined,
+                    transaction: this.buildRecurringTransaction(rule, dateKey)
+                });
+            });
+        });
+
+        return upcoming.sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+    }
+
+    // Describe a rule's schedule for the rules list
+    describeRecurringRule(rule) {
+        const frequencyLabels = {
+            daily: 'Daily',
+            weekly: 'Weekly',
+            biweekly: 'Every 2 weeks',
+            monthly: 'Monthly',
+            yearly: 'Yearly'
+        };
+        const parts = [frequencyLabels[rule.frequency] || rule.frequency];
+
+        if (rule.frequency === 'monthly' || rule.frequency === 'yearly') {
+            if (rule.dayOption === 'last-day') parts.push('last day of month');
+            if (rule.dayOption === 'last-business-day') parts.push('last business day');
+        }
+
+        if (rule.endType === 'date' && rule.endDate) {
+            parts.push(`until ${this.formatDate(this.parseDateKey(rule.endDate))}`);
+        } else if (rule.endType === 'count') {
+            parts.push(`${rule.occurrences} times`);
+        }
+
+        return parts.join(' • ');
+    }
+
+    // Open the recurring transactions modal
+    openRecurringModal() {
+        this.resetRecurringForm();
+        this.updateRecurringList();
+        this.openModal('recurringModal');
+    }
+
+    // Populate the category dropdown of the recurring form
+    populateRecurringCategories(type) {
+        const categorySelect = document.getElementById('recurringCategory');
+        if (!categorySelect) return;
+
+        const categories = this.categories[type] || [];
+        categorySelect.innerHTML = categories.map(cat =>
+            `<option value="${cat}">${cat}</option>`
+        ).join('');
+    }
+
+    // Show only the schedule fields relevant to the chosen frequency and end type
+    updateRecurringFormFields() {
+        const frequency = document.getElementById('recurringFrequency').value;
+        const endType = document.getElementById('recurringEndType').value;
+
+        document.getElementById('recurringDayOptionGroup').style.display =
+            frequency === 'monthly' || frequency === 'yearly' ? 'block' : 'none';
+        document.getElementById('recurringEndDateGroup').style.display = endType === 'date' ? 'block' : 'none';
+        document.getElementById('recurringOccurrencesGroup').style.display = endType === 'count' ? 'block' : 'none';
+    }
+
+    // Reset the recurring form back to add mode
+    resetRecurringForm() {
+        const form = document.getElementById('recurringForm');
+        if (!form) return;
+
+        form.reset();
+        this.editingRecurringId = null;
+        document.getElementById('recurringStartDate').value = this.toDateKey(new Date());
+        document.getElementById('recurringFormTitle').textContent = 'New Recurring Transaction';
+        document.getElementById('recurringSubmitBtn').textContent = 'Add Rule';
+        this.populateRecurringCategories(document.getElementById('recurringType').value);
+        this.updateRecurringFormFields();
+    }
+
+    // Save a new or edited recurring rule from the form
+    saveRecurringRule() {
+        const type = document.getElementById('recurringType').value;
+        const amount = parseFloat(document.getElementById('recurringAmount').value);
+        const category = document.getElementById('recurringCategory').value;
+        const description = document.getElementById('recurringDescription').value;
+        const frequency = document.getElementById('recurringFrequency').value;
+        const startDate = document.getElementById('recurringStartDate').value;
+        const dayOption = document.getElementById('recurringDayOption').value;
+        const endType = document.getElementById('recurringEndType').value;
+        const endDate = document.getElementById('recurringEndDate').value;
+        const occurrences = parseInt(document.getElementById('recurringOccurrences').value, 10);
+
+        if (!amount || !category || !startDate) {
+            this.showAlert('Please fill in all required fields', 'error');
+            return;
+        }
+
+        if (endType === 'date' && (!endDate || endDate < startDate)) {
+            this.showAlert('Please choose an end date after the start date', 'error');
+            return;
+        }
+
+        if (endType === 'count' && !(occurrences > 0)) {
+            this.showAlert('Please enter how many times this should repeat', 'error');
+            return;
+        }
+
+        const schedule = {
+            type: type,
+            amount: amount,
+            category: category,
+            description: description,
+            frequency: frequency,
+            startDate: startDate,
+            dayOption: dayOption,
+            endType: endType,
+            endDate: endType === 'date' ? endDate : null,
+            occurrences: endType === 'count' ? occurrences : null
+        };
+
+        const existing = this.recurringRules.find(r => r.id === this.editingRecurringId);
+        if (existing) {
+            Object.assign(existing, schedule);
+        } else {
+            this.recurringRules.push({
+                id: 'rec_' + Date.now().toString(),
+                ...schedule,
+                exceptions: {},
+                postedThrough: null
+            });
+        }
+
+        const wasEditing = !!existing;
+        this.postDueRecurringTransactions();
+        this.saveData();
+        this.updateDashboard();
+        this.displayAllTransactions();
+        this.resetRecurringForm();
+        this.updateRecurringList();
+        this.showAlert(wasEditing ? 'Recurring transaction updated!' : 'Recurring transaction added!', 'success');
+        this.checkAlerts();
+    }
+
+    // Load a rule into the form for editing
+    editRecurringRule(ruleId) {
+        const rule = this.recurringRules.find(r => r.id === ruleId);
+        if (!rule) return;
+
+        this.editingRecurringId = rule.id;
+        document.getElementById('recurringType').value = rule.type;
+        this.populateRecurringCategories(rule.type);
+        document.getElementById('recurringAmount').value = rule.amount;
+        document.getElementById('recurringCategory').value = rule.category;
+        document.getElementById('recurringDescription').value = rule.description || '';
+        document.getElementById('recurringFrequency').value = rule.frequency;
+        document.getElementById('recurringStartDate').value = rule.startDate;
+        document.getElementById('recurringDayOption').value = rule.dayOption || 'same-day';
+        document.getElementById('recurringEndType').value = rule.endType || 'never';
+        document.getElementById('recurringEndDate').value = rule.endDate || '';
+        document.getElementById('recurringOccurrences').value = rule.occurrences || '';
+        document.getElementById('recurringFormTitle').textContent = 'Edit Recurring Transaction';
+        document.getElementById('recurringSubmitBtn').textContent = 'Update Rule';
+        this.updateRecurringFormFields();
+    }
+
+    // Delete a rule (transactions it already posted are kept)
+    deleteRecurringRule(ruleId) {
+        if (confirm('Delete this recurring transaction? Transactions already posted will be kept.')) {
+            this.recurringRules = this.recurringRules.filter(r => r.id !== ruleId);
+            if (this.editingRecurringId === ruleId) {
+                this.resetRecurringForm();
+            }
+            this.saveData();
+            this.updateRecurringList();
+            this.showAlert('Recurring transaction deleted!', 'success');
+        }
+    }
+
+    // Skip or restore a single upcoming occurrence
+    toggleRecurringSkip(ruleId, dateKey) {
+        const rule = this.recurringRules.find(r => r.id === ruleId);
+        if (!rule) return;
+
+        rule.exceptions = rule.exceptions || {};
+        const exception = rule.exceptions[dateKey] || {};
+
+        if (exception.skip) {
+            delete exception.skip;
+        } else {
+            exception.skip = true;
+        }
+
+        if (Object.keys(exception).length === 0) {
+            delete rule.exceptions[dateKey];
+        } else {
+            rule.exceptions[dateKey] = exception;
+        }
+
+        this.saveData();
+        this.updateRecurringList();
+    }
+
+    // Show the single-instance edit form for an upcoming occurrence
+    editRecurringInstance(ruleId, dateKey) {
+        const rule = this.recurringRules.find(r => r.id === ruleId);
+        if (!rule) return;
+
+        const occurrence = this.buildRecurringTransaction(rule, dateKey);
+        this.editingRecurringInstance = { ruleId, dateKey };
+
+        document.getElementById('recurringInstanceLabel').textContent =
+            `${occurrence.description || occurrence.category} on ${this.formatDate(this.parseDateKey(dateKey))}`;
+        document.getElementById('recurringInstanceAmount').value = occurrence.amount;
+        document.getElementById('recurringInstanceDescription').value = occurrence.description || '';
+        document.getElementById('recurringInstanceEditor').style.display = 'block';
+    }
+
+    // Save the single-instance edit as an exception on the rule
+    saveRecurringInstance() {
+        const instance = this.editingRecurringInstance;
+        const rule = instance && this.recurringRules.find(r => r.id === instance.ruleId);
+        if (!rule) return;
+
+        const amount = parseFloat(document.getElementById('recurringInstanceAmount').value);
+        const description = document.getElementById('recurringInstanceDescription').value;
+
+        if (!amount) {
+            this.showAlert('Please enter an amount', 'error');
+            return;
+        }
+
+        rule.exceptions = rule.exceptions || {};
+        rule.exceptions[instance.dateKey] = {
+            ...(rule.exceptions[instance.dateKey] || {}),
+            amount: amount,
+            description: description
+        };
+
+        this.saveData();
+        this.hideRecurringInstanceEditor();
+        this.updateRecurringList();
+        this.showAlert('Occurrence updated!', 'success');
+    }
+
+    // Hide the single-instance edit form
+    hideRecurringInstanceEditor() {
+        this.editingRecurringInstance = null;
+        const editor = document.getElementById('recurringInstanceEditor');
+        if (editor) {
+            editor.style.display = 'none';
+        }
+    }
+
+    // Render the rules list and upcoming occurrences
+    updateRecurringList() {
+        const rulesList = document.getElementById('recurringRulesList');
+        const upcomingList = document.getElementById('upcomingRecurringList');
+        if (!rulesList || !upcomingList) return;
+
+        const rules = this.recurringRules || [];
+
+        if (rules.length === 0) {
+            rulesList.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No recurring transactions</p>';
+        } else {
+            rulesList.innerHTML = rules.map(rule => `
+                <div class="recurring-list-item">
+                    <div>
+                        <div class="category">${rule.description || rule.category}</div>
+                        <div class="recurring-schedule">${rule.category} • ${this.describeRecurringRule(rule)}</div>
+                    </div>
+                    <div class="transaction-amount ${rule.type}">
+                        ${rule.type === 'income' ? '+' : '-'}${this.formatCurrency(rule.amount)}
+                    </div>
+                    <div class="budget-actions">
+                        <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" onclick="app.editRecurringRule('${rule.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="remove-btn" onclick="app.deleteRecurringRule('${rule.id}')">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        const upcoming = this.getUpcomingRecurring(30);
+
+        if (upcoming.length === 0) {
+            upcomingList.innerHTML = '<p style="color: #7f8c8d; text-align: center;">Nothing scheduled in the next 30 days</p>';
+            return;
+        }
+
+        upcomingList.innerHTML = upcoming.map(({ rule, dateKey, skipped, edited, transaction }) => `
+            <div class="recurring-list-item${skipped ? ' skipped' : ''}">
+                <div>
+                    <div class="category">${transaction.description || transaction.category}${edited ? ' <small>(edited)</small>' : ''}</div>
+                    <div class="recurring-schedule">${this.formatDate(this.parseDateKey(dateKey))}${skipped ? ' • skipped' : ''}</div>
+                </div>
+                <div class="transaction-amount ${transaction.type}">
+                    ${transaction.type === 'income' ? '+' : '-'}${this.formatCurrency(transaction.amount)}
+                </div>
+                <div class="budget-actions">
+                    <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" onclick="app.editRecurringInstance('${rule.id}', '${dateKey}')" ${skipped ? 'disabled' : ''}>
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" onclick="app.toggleRecurringSkip('${rule.id}', '${dateKey}')">
+                        ${skipped ? 'Restore' : 'Skip'}
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Currency that totals, budgets and charts are reported in
+    getBaseCurrency() {
+        return (this.settings && this.settings.baseCurrency) || 'USD';
+    }
+
+    // Currency a transaction was recorded in, falling back to its account's currency
+    getTransactionCurrency(transaction) {
+        if (transaction.currency) return transaction.currency;
+
+        const account = (this.accounts || []).find(a => a.id === this.getTransactionAccountId(transaction));
+        return (account && account.currency) || this.getBaseCurrency();
+    }
+
+    // Rate quoted as "1 currency = rate base" on or before the date, else the earliest later one
+    findExchangeRate(currency, base, dateKey) {
+        const rates = (this.exchangeRates || [])
+            .filter(r => r.currency === currency && r.base === base)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        if (rates.length === 0) return null;
+
+        const onOrBefore = rates.filter(r => r.date <= dateKey);
+        return (onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : rates[0]).rate;
+    }
+
+    // Rate to convert one unit of `from` into `to`: direct, inverse or through a shared currency
+    getExchangeRate(from, to, dateKey = this.toDateKey(new Date())) {
+        if (!from || !to || from === to) return 1;
+
+        const direct = this.findExchangeRate(from, to, dateKey);
+        if (direct) return direct;
+
+        const inverse = this.findExchangeRate(to, from, dateKey);
+        if (inverse) return 1 / inverse;
+
+        const bridges = new Set((this.exchangeRates || []).filter(r => r.currency === from).map(r => r.base));
+        for (const bridge of bridges) {
+            const fromRate = this.findExchangeRate(from, bridge, dateKey);
+            const toRate = this.findExchangeRate(to, bridge, dateKey);
+            if (fromRate && toRate) return fromRate / toRate;
+        }
+
+        return null;
+    }
+
+    // Convert an amount between currencies; without a known rate the amount is left as-is
+    convertAmount(amount, from, to, dateKey) {
+        const rate = this.getExchangeRate(from, to, dateKey);
+        return (parseFloat(amount) || 0) * (rate === null ? 1 : rate);
+    }
+
+    // A transaction amount (or part of it) in the base currency
+    toBaseAmount(transaction, amount = transaction.amount) {
+        return this.convertAmount(amount, this.getTransactionCurrency(transaction), this.getBaseCurrency(), transaction.date);
+    }
+
+    // Amount cell for a transaction row: the original amount, plus the base amount when it differs
+    formatTransactionAmount(transaction) {
+        const currency = this.getTransactionCurrency(transaction);
+        const original = `${this.getTransactionSign(transaction)}${this.formatCurrency(transaction.amount, currency)}`;
+        if (currency === this.getBaseCurrency()) return original;
+
+        return `${original}<small class="base-amount">≈ ${this.formatCurrency(this.toBaseAmount(transaction))}</small>`;
+    }
+
+    // Currencies in use that cannot be converted into the base currency
+    getMissingExchangeRates() {
+        const base = this.getBaseCurrency();
+        const currencies = new Set([
+            ...this.transactions.map(t => this.getTransactionCurrency(t)),
+            ...(this.accounts || []).map(a => a.currency || base)
+        ]);
+        return [...currencies].filter(currency => this.getExchangeRate(currency, base) === null);
+    }
+
+    // Open the currencies and exchange rates manager
+    openRatesModal() {
+        this.closeModal(document.getElementById('settingsModal'));
+        document.getElementById('baseCurrency').value = this.getBaseCurrency();
+        document.getElementById('rateForm').reset();
+        document.getElementById('rateDate').value = this.toDateKey(new Date());
+        this.updateRatesList();
+        this.openModal('ratesModal');
+    }
+
+    // Change the base currency everything is reported in
+    saveBaseCurrency() {
+        const currency = document.getElementById('baseCurrency').value.trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            this.showAlert('Currency must be a 3-letter code such as USD or EUR', 'error');
+            return;
+        }
+
+        this.settings.baseCurrency = currency;
+        this.saveData();
+        this.updateRatesList();
+        this.updateDashboard();
+        this.displayAllTransactions();
+        this.showAlert(`Base currency set to ${currency}`, 'success');
+    }
+
+    // Add or replace an exchange rate, keyed by date, currency and base
+    upsertExchangeRate({ date, currency, base, rate }) {
+        this.invalidateAggregateIndex();
+        const existing = this.exchangeRates.find(r => r.date === date && r.currency === currency && r.base === base);
+        if (existing) {
+            existing.rate = rate;
+            existing.updatedAt = new Date().toISOString();
+            return existing;
+        }
+
+        const entry = {
+            id: `rate_${date}_${currency}_${base}`,
+            date, currency, base, rate,
+            updatedAt: new Date().toISOString()
+        };
+        this.exchangeRates.push(entry);
+        return entry;
+    }
+
+    // Save an exchange rate from the form
+    saveExchangeRate() {
+        const date = document.getElementById('rateDate').value;
+        const currency = document.getElementById('rateCurrency').value.trim().toUpperCase();
+        const rate = parseFloat(document.getElementById('rateValue').value);
+        const base = this.getBaseCurrency();
+
+        if (!date || !/^[A-Z]{3}$/.test(currency) || !rate || rate <= 0) {
+            this.showAlert('Enter a date, a 3-letter currency code and a positive rate', 'error');
+            return;
+        }
+
+        if (currency === base) {
+            this.showAlert(`${base} is already the base currency`, 'error');
+            return;
+        }
+
+        this.upsertExchangeRate({ date, currency, base, rate });
+        this.saveData();
+        document.getElementById('rateCurrency').value = '';
+        document.getElementById('rateValue').value = '';
+        this.updateRatesList();
+        this.updateDashboard();
+        this.showAlert(`Rate saved: 1 ${currency} = ${rate} ${base}`, 'success');
+    }
+
+    // Delete an exchange rate
+    deleteExchangeRate(rateId) {
+        this.exchangeRates = this.exchangeRates.filter(r => r.id !== rateId);
+        this.invalidateAggregateIndex();
+        this.saveData();
+        this.updateRatesList();
+        this.updateDashboard();
+    }
+
+    // Import exchange rates from a CSV file with date, currency, rate and optional base columns
+    importExchangeRates(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const text = e.target.result.replace(/^\uFEFF/, '');
+            const rows = this.parseCsv(text, this.detectCsvDelimiter(text));
+            let imported = 0;
+            let skipped = 0;
+
+            // A first row whose date cell is a word ("date") is a header rather than an unreadable rate
+            const firstCell = rows.length > 0 ? rows[0][0] : '';
+            if (firstCell && !this.parseStatementDate(firstCell, 'YYYY-MM-DD') && /[a-z]/i.test(firstCell) && !/\d/.test(firstCell)) {
+                rows.shift();
+            }
+
+            rows.forEach(row => {
+                const date = this.parseStatementDate(row[0], 'YYYY-MM-DD');
+                const currency = (row[1] || '').toUpperCase();
+                const rate = this.parseStatementAmount(row[2]);
+                const base = (row[3] || this.getBaseCurrency()).toUpperCase();
+
+                if (!date || !/^[A-Z]{3}$/.test(currency) || !/^[A-Z]{3}$/.test(base) || !(rate > 0)) {
+                    skipped++;
+                    return;
+                }
+                this.upsertExchangeRate({ date, currency, base, rate });
+                imported++;
+            });
+
+            this.saveData();
+            this.updateRatesList();
+            this.updateDashboard();
+            this.showAlert(`Imported ${imported} exchange rates${skipped ? `, skipped ${skipped} unreadable row${skipped === 1 ? '' : 's'}` : ''}`, imported ? 'success' : 'error');
+        };
+
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+
+    // Render the exchange rate table and any currencies still missing a rate
+    updateRatesList() {
+        const list = document.getElementById('ratesList');
+        const missing = document.getElementById('missingRates');
+        const baseLabel = document.getElementById('rateBaseLabel');
+        if (!list) return;
+
+        const base = this.getBaseCurrency();
+        if (baseLabel) baseLabel.textContent = base;
+
+        if (missing) {
+            const currencies = this.getMissingExchangeRates();
+            missing.style.display = currencies.length > 0 ? 'block' : 'none';
+            missing.textContent = currencies.length > 0
+                ? `No rate to ${base} for ${currencies.join(', ')}. Those amounts are counted unconverted.`
+                : '';
+        }
+
+        const rates = [...this.exchangeRates].sort((a, b) =>
+            b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency)
+        );
+
+        if (rates.length === 0) {
+            list.innerHTML = '<p style="color: #7f8c8d;">No exchange rates yet.</p>';
+            return;
+        }
+
+        list.innerHTML = rates.map(rate => `
+            <div class="budget-list-item">
+                <div>
+                    <div class="category">1 ${rate.currency} = ${rate.rate} ${rate.base}</div>
+                    <div style="font-size: 0.8rem; color: #7f8c8d;">From ${this.formatDate(this.parseDateKey(rate.date))}</div>
+                </div>
+                <div class="budget-actions">
+                    <button class="remove-btn" onclick="app.deleteExchangeRate('${rate.id}')">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Open the monthly statement generator, defaulting to last month
+    openStatementModal() {
+        this.closeModal(document.getElementById('settingsModal'));
+
+        const monthInput = document.getElementById('statementMonth');
+        if (!monthInput.value) {
+            const today = new Date();
+            monthInput.value = this.toDateKey(new Date(today.getFullYear(), today.getMonth() - 1, 1)).slice(0, 7);
+        }
+
+        this.renderMonthlyStatement();
+        this.openModal('statementModal');
+    }
+
+    // Totals per category for one transaction type within a date range, largest first
+    getCategoryTotals(type, startKey, endKey) {
+        const totals = {};
+        this.transactions
+            .filter(t => t.type === type && t.date >= startKey && t.date <= endKey)
+            .forEach(t => {
+                this.getCategoryPortions(t).forEach(portion => {
+                    totals[portion.category] = (totals[portion.category] || 0) + portion.amount;
+                });
+            });
+        return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+    }
+
+    // Build the printable statement for the chosen month
+    renderMonthlyStatement() {
+        const report = document.getElementById('statementReport');
+        const monthValue = document.getElementById('statementMonth').value;
+        if (!report) return;
+
+        if (!/^\d{4}-\d{2}$/.test(monthValue)) {
+            report.innerHTML = '<p style="color: #7f8c8d; text-align: center;">Choose a month</p>';
+            return;
+        }
+
+        const [year, month] = monthValue.split('-').map(Number);
+        const start = new Date(year, month - 1, 1);
+        const end = new Date(year, month, 0);
+        const startKey = this.toDateKey(start);
+        const endKey = this.toDateKey(end);
+        const dayBefore = this.toDateKey(new Date(year, month - 1, 0));
+
+        const opening = this.getBalanceOn(dayBefore);
+        const closing = this.getBalanceOn(endKey);
+        const income = this.getCategoryTotals('income', startKey, endKey);
+        const expenses = this.getCategoryTotals('expense', startKey, endKey);
+        const totalIncome = income.reduce((sum, [, amount]) => sum + amount, 0);
+        const totalExpenses = expenses.reduce((sum, [, amount]) => sum + amount, 0);
+        const transactions = this.transactions
+            .filter(t => t.date >= startKey && t.date <= endKey)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        const categoryTable = (rows, total, emptyText) => rows.length === 0
+            ? `<p class="statement-empty">${emptyText}</p>`
+            : `
+                <table class="statement-table">
+                    <tbody>
+                        ${rows.map(([category, amount]) => `
+                            <tr>
+                                <td>${category}</td>
+                                <td class="number">${this.formatCurrency(amount)}</td>
+                                <td class="number">${total > 0 ? (amount / total * 100).toFixed(1) : '0.0'}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr><td>Total</td><td class="number">${this.formatCurrency(total)}</td><td></td></tr>
+                    </tfoot>
+                </table>
+            `;
+
+        const budgetRows = Object.entries(this.budgets).flatMap(([category, budget]) =>
+            this.getBudgetHistory(category, budget, startKey, endKey).map(row => ({ category, ...row }))
+        );
+
+        report.innerHTML = `
+            <div class="statement-header">
+                <h2>Monthly Statement</h2>
+                <div class="statement-month">${start.toLocaleDateString(this.getLocale(), { month: 'long', year: 'numeric' })}</div>
+                <small>Generated ${this.formatDate(new Date())} • Amounts in ${this.getBaseCurrency()}</small>
+            </div>
+
+            <div class="statement-summary">
+                <div><span>Opening Balance</span><strong>${this.formatCurrency(opening)}</strong></div>
+                <div><span>Income</span><strong class="income">${this.formatCurrency(totalIncome)}</strong></div>
+                <div><span>Expenses</span><strong class="expense">${this.formatCurrency(totalExpenses)}</strong></div>
+                <div><span>Closing Balance</span><strong>${this.formatCurrency(closing)}</strong></div>
+            </div>
+
+            <div class="statement-section">
+                <h3>Income by Category</h3>
+                ${categoryTable(income, totalIncome, 'No income this month')}
+            </div>
+
+            <div class="statement-section">
+                <h3>Expenses by Category</h3>
+                ${categoryTable(expenses, totalExpenses, 'No expenses this month')}
+            </div>
+
+            <div class="statement-section">
+                <h3>Budget Performance</h3>
+                ${budgetRows.length === 0 ? '<p class="statement-empty">No budgets set</p>' : `
+                <table class="statement-table">
+                    <thead>
+                        <tr><th>Category</th><th>Period</th><th class="number">Budgeted</th><th class="number">Actual</th><th class="number">Variance</th></tr>
+                    </thead>
+                    <tbody>
+                        ${budgetRows.map(row => `
+                            <tr>
+                                <td>${row.category}</td>
+                                <td>${this.formatPeriodRange(row.range)}</td>
+                                <td class="number">${this.formatCurrency(row.budgeted)}</td>
+                                <td class="number">${this.formatCurrency(row.actual)}</td>
+                                <td class="number ${row.variance < 0 ? 'expense' : 'income'}">${row.variance < 0 ? '-' : '+'}${this.formatCurrency(Math.abs(row.variance))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>`}
+            </div>
+
+            <div class="statement-section">
+                <h3>Transactions (${transactions.length})</h3>
+                ${transactions.length === 0 ? '<p class="statement-empty">No transactions this month</p>' : `
+                <table class="statement-table">
+                    <thead>
+                        <tr><th>Date</th><th>Description</th><th>Category</th><th>Account</th><th class="number">Amount</th></tr>
+                    </thead>
+                    <tbody>
+                        ${transactions.map(t => `
+                            <tr>
+                                <td>${this.formatDate(t.date)}</td>
+                                <td>${this.escapeHtml(t.description)}</td>
+                                <td>${t.type === 'transfer' ? 'Transfer' : this.getTransactionCategoryLabel(t)}</td>
+                                <td>${t.type === 'transfer'
+                                    ? `${this.getAccountName(t.accountId)} → ${this.getAccountName(t.toAccountId)}`
+                                    : this.getAccountName(this.getTransactionAccountId(t))}</td>
+                                <td class="number ${t.type}">${this.formatTransactionAmount(t)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>`}
+            </div>
+        `;
+    }
+
+    // Print only the statement; the browser's print dialog can also save it as a PDF
+    printMonthlyStatement() {
+        this.renderMonthlyStatement();
+        document.body.classList.add('printing-statement');
+
+        // Mobile browsers return from print() before the page is captured, so wait for afterprint
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-statement');
+        }, { once: true });
+        window.print();
+    }
+
+    // Make sure there is always at least one account to post transactions to
+    ensureDefaultAccount() {
+        if (!Array.isArray(this.accounts)) {
+            this.accounts = [];
+        }
+
+        if (this.accounts.length === 0) {
+            this.invalidateAggregateIndex();
+            // Fixed id so devices that create it independently merge into one account
+            this.accounts.push({
+                id: 'acct_default',
+                name: 'Main Account',
+                type: 'checking',
+                openingBalance: 0,
+                currency: 'USD'
+            });
+        }
+    }
+
+    // Account a transaction belongs to (older transactions fall back to the first account)
+    getTransactionAccountId(transaction) {
+        return transaction.accountId || (this.accounts[0] && this.accounts[0].id);
+    }
+
+    // Display name for an account id
+    getAccountName(accountId) {
+        const account = (this.accounts || []).find(a => a.id === accountId);
+        return account ? account.name : 'Unknown account';
+    }
+
+    // Calculate the running balance of a single account
+    calculateAccountBalance(account) {
+        return (parseFloat(account.openingBalance) || 0) + (this.getAggregateIndex().accounts[account.id] || 0);
+    }
+
+    // Render per-account balances under the overall balance
+    updateAccountBalances() {
+        const container = document.getElementById('accountBalances');
+        if (!container) return;
+
+        const typeIcons = {
+            checking: 'university',
+            savings: 'piggy-bank',
+            credit: 'credit-card',
+            cash: 'money-bill-wave'
+        };
+
+        container.innerHTML = (this.accounts || []).map(account => {
+            const balance = this.calculateAccountBalance(account);
+            return `
+                <div class="account-balance-item">
+                    <span class="account-name">
+                        <i class="fas fa-${typeIcons[account.type] || 'wallet'}"></i>
+                        ${account.name}
+                    </span>
+                    <span class="amount ${balance >= 0 ? 'income' : 'expense'}">${this.formatCurrency(balance, account.currency)}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Populate the account dropdowns of the transaction form, keeping the current choices
+    populateAccountOptions() {
+        const accountSelect = document.getElementById('transactionAccount');
+        const toAccountSelect = document.getElementById('transactionToAccount');
+        const accounts = this.accounts || [];
+        const options = accounts.map(account => `<option value="${account.id}">${account.name}</option>`).join('');
+
+        [accountSelect, toAccountSelect].forEach(select => {
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = options;
+            if (accounts.some(account => account.id === current)) {
+                select.value = current;
+            }
+        });
+
+        // Default a new transfer to the second account rather than the same one
+        if (toAccountSelect && toAccountSelect.value === (accountSelect && accountSelect.value) && accounts.length > 1) {
+            toAccountSelect.value = accounts.find(account => account.id !== accountSelect.value).id;
+        }
+
+        const currencyInput = document.getElementById('transactionCurrency');
+        if (currencyInput && !currencyInput.value) {
+            this.setTransactionCurrencyFromAccount();
+        }
+    }
+
+    // Default the transaction currency to the selected account's currency
+    setTransactionCurrencyFromAccount() {
+        const currencyInput = document.getElementById('transactionCurrency');
+        const accountSelect = document.getElementById('transactionAccount');
+        if (!currencyInput || !accountSelect) return;
+
+        const account = (this.accounts || []).find(a => a.id === accountSelect.value);
+        currencyInput.value = (account && account.currency) || this.getBaseCurrency();
+    }
+
+    // Open the accounts modal
+    openAccountsModal() {
+        this.resetAccountForm();
+        this.updateAccountsList();
+        this.openModal('accountsModal');
+    }
+
+    // Reset the account form back to add mode
+    resetAccountForm() {
+        const form = document.getElementById('accountForm');
+        if (!form) return;
+
+        form.reset();
+        this.editingAccountId = null;
+        document.getElementById('accountFormTitle').textContent = 'New Account';
+        document.getElementById('accountSubmitBtn').textContent = 'Add Account';
+    }
+
+    // Save a new or edited account from the form
+    saveAccount() {
+        const name = document.getElementById('accountName').value.trim();
+        const type = document.getElementById('accountType').value;
+        const openingBalance = parseFloat(document.getElementById('accountOpeningBalance').value) || 0;
+        const currency = document.getElementById('accountCurrency').value.trim().toUpperCase() || 'USD';
+
+        if (!name) {
+            this.showAlert('Please enter an account name', 'error');
+            return;
+        }
+
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            this.showAlert('Currency must be a 3-letter code such as USD or EUR', 'error');
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const existing = this.accounts.find(a => a.id === this.editingAccountId);
+
+        this.invalidateAggregateIndex();
+        if (existing) {
+            Object.assign(existing, { name, type, openingBalance, currency, updatedAt: now });
+        } else {
+            this.accounts.push({
+                id: 'acct_' + Date.now().toString(),
+                name: name,
+                type: type,
+                openingBalance: openingBalance,
+                currency: currency,
+                createdAt: now,
+                updatedAt: now
+            });
+        }
+
+        this.saveData();
+        this.resetAccountForm();
+        this.updateAccountsList();
+        this.populateAccountOptions();
+        this.updateDashboard();
+        this.displayAllTransactions();
+        this.showAlert(existing ? 'Account updated!' : 'Account added!', 'success');
+    }
+
+    // Load an account into the form for editing
+    editAccount(accountId) {
+        const account = this.accounts.find(a => a.id === accountId);
+        if (!account) return;
+
+        this.editingAccountId = account.id;
+        document.getElementById('accountName').value = account.name;
+        document.getElementById('accountType').value = account.type;
+        document.getElementById('accountOpeningBalance').value = account.openingBalance;
+        document.getElementById('accountCurrency').value = account.currency || 'USD';
+        document.getElementById('accountFormTitle').textContent = `Edit Account: ${account.name}`;
+        document.getElementById('accountSubmitBtn').textContent = 'Update Account';
+    }
+
+    // Delete an account that no transactions refer to
+    deleteAccount(accountId) {
+        if (this.accounts.length <= 1) {
+            this.showAlert('You need at least one account', 'error');
+            return;
+        }
+
+        const inUse = this.transactions.some(t =>
+            this.getTransactionAccountId(t) === accountId || t.toAccountId === accountId
+        );
+        if (inUse) {
+            this.showAlert('This account has transactions. Move or delete them first.', 'error');
+            return;
+        }
+
+        if (confirm('Delete this account?')) {
+            this.accounts = this.accounts.filter(a => a.id !== accountId);
+            this.queueCloudDelete('accounts', 'account_id', accountId);
+            this.invalidateAggregateIndex();
+            if (this.editingAccountId === accountId) {
+                this.resetAccountForm();
+            }
+            this.saveData();
+            this.updateAccountsList();
+            this.populateAccountOptions();
+            this.updateDashboard();
+            this.showAlert('Account deleted!', 'success');
+        }
+    }
+
+    // Render the accounts list in the accounts modal
+    updateAccountsList() {
+        const list = document.getElementById('accountsList');
+        if (!list) return;
+
+        const typeLabels = {
+            checking: 'Checking',
+            savings: 'Savings',
+            credit: 'Credit Card',
+            cash: 'Cash'
+        };
+
+        list.innerHTML = this.accounts.map(account => `
+            <div class="budget-list-item">
+                <div>
+                    <div class="category">${account.name}</div>
+                    <div style="font-size: 0.8rem; color: #7f8c8d;">${typeLabels[account.type] || account.type} • ${account.currency || 'USD'}</div>
+                </div>
+                <div class="amount">${this.formatCurrency(this.calculateAccountBalance(account), account.currency)}</div>
+                <div class="budget-actions">
+                    <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem; margin-right: 0.5rem;" onclick="app.editAccount('${account.id}')">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="remove-btn" onclick="app.deleteAccount('${account.id}')">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Check whether a categorization rule matches a transaction
+    matchesCategoryRule(rule, transaction) {
+        if (rule.type !== transaction.type) return false;
+
+        const description = (transaction.description || '').trim();
+        if (rule.pattern) {
+            if (rule.matchType === 'regex') {
+                try {
+                    if (!new RegExp(rule.pattern, 'i').test(description)) return false;
+                } catch (error) {
+                    return false;
+                }
+            } else if (rule.matchType === 'exact') {
+                if (description.toLowerCase() !== rule.pattern.toLowerCase()) return false;
+            } else if (!description.toLowerCase().includes(rule.pattern.toLowerCase())) {
+                return false;
+            }
+        }
+
+        const amount = Math.abs(parseFloat(transaction.amount) || 0);
+        if (rule.minAmount !== null && rule.minAmount !== undefined && amount < rule.minAmount) return false;
+        if (rule.maxAmount !== null && rule.maxAmount !== undefined && amount > rule.maxAmount) return false;
+        if (rule.accountId && rule.accountId !== this.getTransactionAccountId(transaction)) return false;
+
+        return true;
+    }
+
+    // First rule (in list order) that matches the transaction and points at a known category
+    findCategoryRule(transaction) {
+        return (this.categoryRules || []).find(rule =>
+            (this.categories[rule.type] || []).includes(rule.category) &&
+            this.matchesCategoryRule(rule, transaction)
+        ) || null;
+    }
+
+    // Reduce a description to its first meaningful words so "STARBUCKS #1234" matches "Starbucks #88"
+    getDescriptionKey(description) {
+        return (description || '')
+            .toLowerCase()
+            .replace(/[^a-z\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 1)
+            .slice(0, 2)
+            .join(' ');
+    }
+
+    // Most common category among past transactions with a similar description
+    suggestCategoryFromHistory(transaction) {
+        const key = this.getDescriptionKey(transaction.description);
+        if (!key) return null;
+
+        const counts = {};
+        this.transactions.forEach(t => {
+            if (t.type === transaction.type && t.id !== transaction.id && this.getDescriptionKey(t.description) === key) {
+                counts[t.category] = (counts[t.category] || 0) + 1;
+            }
+        });
+
+        const best = Object.entries(counts)
+            .filter(([category]) => (this.categories[transaction.type] || []).includes(category))
+            .sort((a, b) => b[1] - a[1])[0];
+        return best ? best[0] : null;
     }
 
-    // Display filtered transactions
-    displayFilteredTransactions(transactions) {
-        const container = document.getElementById('allTransactionsList');
-        
-        if (transactions.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-search"></i>
-                    <h3>No transactions found</h3>
-                    <p>Try adjusting your filters</p>
-                </div>
-            `;
+    // Category suggestion for a transaction: rules first, then history
+    suggestCategory(transaction) {
+        if (transaction.type === 'transfer') return null;
+
+        const rule = this.findCategoryRule(transaction);
+        if (rule) {
+            return { category: rule.category, source: 'rule', rule };
+        }
+
+        const learned = this.suggestCategoryFromHistory(transaction);
+        return learned ? { category: learned, source: 'history' } : null;
+    }
+
+    // Pre-select the suggested category in the transaction form unless it was picked by hand
+    applyCategorySuggestion() {
+        const hint = document.getElementById('transactionCategoryHint');
+        if (hint) hint.textContent = '';
+        if (this.editingTransactionId || this.categoryPickedByHand || this.splitMode) return;
+
+        const suggestion = this.suggestCategory({
+            type: document.getElementById('transactionType').value,
+            amount: document.getElementById('transactionAmount').value,
+            description: document.getElementById('transactionDescription').value,
+            accountId: document.getElementById('transactionAccount').value
+        });
+        if (!suggestion) return;
+
+        document.getElementById('transactionCategory').value = suggestion.category;
+        if (hint) {
+            hint.textContent = suggestion.source === 'rule'
+                ? `Set by rule: ${this.describeCategoryRule(suggestion.rule)}`
+                : 'Suggested from similar transactions';
+        }
+    }
+
+    // Open the categorization rules manager
+    openRulesModal() {
+        this.closeModal(document.getElementById('settingsModal'));
+        this.resetRuleForm();
+        this.updateRulesList();
+        document.getElementById('ruleSuggestions').innerHTML = '';
+        this.openModal('rulesModal');
+    }
+
+    // Fill the rule category dropdown for the selected type
+    populateRuleCategories(type) {
+        const select = document.getElementById('ruleCategory');
+        if (!select) return;
+
+        select.innerHTML = (this.categories[type] || []).map(cat =>
+            `<option value="${cat}">${cat}</option>`
+        ).join('');
+    }
+
+    // Fill the rule account dropdown
+    populateRuleAccounts() {
+        const select = document.getElementById('ruleAccount');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Any account</option>' +
+            (this.accounts || []).map(account => `<option value="${account.id}">${account.name}</option>`).join('');
+    }
+
+    // Reset the rule form back to add mode
+    resetRuleForm() {
+        const form = document.getElementById('ruleForm');
+        if (!form) return;
+
+        form.reset();
+        this.editingRuleId = null;
+        this.populateRuleCategories(document.getElementById('ruleType').value);
+        this.populateRuleAccounts();
+        document.getElementById('ruleFormTitle').textContent = 'New Rule';
+        document.getElementById('ruleSubmitBtn').textContent = 'Add Rule';
+    }
+
+    // Save a new or edited categorization rule from the form
+    saveCategoryRule() {
+        const matchType = document.getElementById('ruleMatchType').value;
+        const pattern = document.getElementById('rulePattern').value.trim();
+        const type = document.getElementById('ruleType').value;
+        const category = document.getElementById('ruleCategory').value;
+        const minValue = document.getElementById('ruleMinAmount').value;
+        const maxValue = document.getElementById('ruleMaxAmount').value;
+        const minAmount = minValue === '' ? null : parseFloat(minValue);
+        const maxAmount = maxValue === '' ? null : parseFloat(maxValue);
+        const accountId = document.getElementById('ruleAccount').value || null;
+
+        if (!category) {
+            this.showAlert('Please choose a category for this rule', 'error');
             return;
         }
 
-        container.innerHTML = transactions.map(transaction => `
-            <div class="transaction-item">
-                <div class="transaction-info">
-                    <div class="transaction-icon ${transaction.type}">
-                        <i class="fas fa-${transaction.type === 'income' ? 'plus' : 'minus'}"></i>
-                    </div>
-                    <div class="transaction-details">
-                        <h4>${transaction.description || transaction.category}</h4>
-                        <p>${transaction.category} • ${this.formatDate(transaction.date)}</p>
-                    </div>
-                </div>
-                <div class="transaction-amount ${transaction.type}">
-                    ${transaction.type === 'income' ? '+' : '-'}${this.formatCurrency(transaction.amount)}
+        if (!pattern && minAmount === null && maxAmount === null && !accountId) {
+            this.showAlert('Add a description pattern, amount range or account to match on', 'error');
+            return;
+        }
+
+        if (matchType === 'regex') {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                this.showAlert('That regular expression is not valid', 'error');
+                return;
+            }
+        }
+
+        if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+            this.showAlert('Minimum amount cannot be above the maximum', 'error');
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const fields = { matchType, pattern, type, category, minAmount, maxAmount, accountId, updatedAt: now };
+        const existing = this.categoryRules.find(r => r.id === this.editingRuleId);
+
+        if (existing) {
+            Object.assign(existing, fields);
+        } else {
+            this.categoryRules.push({ id: 'rule_' + Date.now().toString(), ...fields, createdAt: now });
+        }
+
+        this.saveData();
+        this.resetRuleForm();
+        this.updateRulesList();
+        this.showAlert(existing ? 'Rule updated!' : 'Rule added!', 'success');
+    }
+
+    // Load a rule into the form for editing
+    editCategoryRule(ruleId) {
+        const rule = this.categoryRules.find(r => r.id === ruleId);
+        if (!rule) return;
+
+        this.editingRuleId = rule.id;
+        document.getElementById('ruleMatchType').value = rule.matchType;
+        document.getElementById('rulePattern').value = rule.pattern || '';
+        document.getElementById('ruleType').value = rule.type;
+        this.populateRuleCategories(rule.type);
+        document.getElementById('ruleCategory').value = rule.category;
+        document.getElementById('ruleMinAmount').value = rule.minAmount ?? '';
+        document.getElementById('ruleMaxAmount').value = rule.maxAmount ?? '';
+        document.getElementById('ruleAccount').value = rule.accountId || '';
+        document.getElementById('ruleFormTitle').textContent = 'Edit Rule';
+        document.getElementById('ruleSubmitBtn').textContent = 'Update Rule';
+    }
+
+    // Delete a categorization rule
+    deleteCategoryRule(ruleId) {
+        if (confirm('Delete this rule?')) {
+            this.categoryRules = this.categoryRules.filter(r => r.id !== ruleId);
+            this.queueCloudDelete('rules', 'rule_id', ruleId);
+            if (this.editingRuleId === ruleId) {
+                this.resetRuleForm();
+            }
+            this.saveData();
+            this.updateRulesList();
+            this.showAlert('Rule deleted!', 'success');
+        }
+    }
+
+    // Move a rule up the list; earlier rules win when several match
+    moveCategoryRule(ruleId) {
+        const index = this.categoryRules.findIndex(r => r.id === ruleId);
+        if (index <= 0) return;
+
+        const [rule] = this.categoryRules.splice(index, 1);
+        this.categoryRules.splice(index - 1, 0, rule);
+        rule.updatedAt = new Date().toISOString();
+        this.saveData();
+        this.updateRulesList();
+    }
+
+    // Human-readable summary of a rule's conditions
+    describeCategoryRule(rule) {
+        const conditions = [];
+        if (rule.pattern) {
+            const verbs = { contains: 'contains', exact: 'is', regex: 'matches' };
+            conditions.push(`description ${verbs[rule.matchType] || 'contains'} "${rule.pattern}"`);
+        }
+        if (rule.minAmount !== null && rule.minAmount !== undefined) {
+            conditions.push(`amount ≥ ${this.formatCurrency(rule.minAmount)}`);
+        }
+        if (rule.maxAmount !== null && rule.maxAmount !== undefined) {
+            conditions.push(`amount ≤ ${this.formatCurrency(rule.maxAmount)}`);
+        }
+        if (rule.accountId) {
+            conditions.push(`account is ${this.getAccountName(rule.accountId)}`);
+        }
+        return `${rule.type === 'income' ? 'Income' : 'Expense'} where ${conditions.join(' and ')} → ${rule.category}`;
+    }
+
+    // Render the rules list in the rules modal
+    updateRulesList() {
+        const list = document.getElementById('rulesList');
+        if (!list) return;
+
+        if (this.categoryRules.length === 0) {
+            list.innerHTML = '<p style="color: #7f8c8d;">No rules yet. Rules are checked from top to bottom.</p>';
+            return;
+        }
+
+        list.innerHTML = this.categoryRules.map((rule, index) => `
+            <div class="budget-list-item">
+                <div>
+                    <div class="category">${this.escapeHtml(rule.category)}</div>
+                    <div style="font-size: 0.8rem; color: #7f8c8d;">${this.escapeHtml(this.describeCategoryRule(rule))}</div>
                 </div>
-                <div class="transaction-actions">
-                    <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem; margin-right: 0.5rem;" onclick="app.openTransactionModal(app.transactions.find(t => t.id === '${transaction.id}'))">
+                <div class="budget-actions">
+                    ${index > 0 ? `
+                        <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem; margin-right: 0.5rem;" title="Move up" onclick="app.moveCategoryRule('${rule.id}')">
+                            <i class="fas fa-arrow-up"></i>
+                        </button>
+                    ` : ''}
+                    <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem; margin-right: 0.5rem;" onclick="app.editCategoryRule('${rule.id}')">
                         <i class="fas fa-edit"></i>
                     </button>
-                    <button class="btn btn-danger" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" onclick="app.deleteTransaction('${transaction.id}')">
-                        <i class="fas fa-trash"></i>
+                    <button class="remove-btn" onclick="app.deleteCategoryRule('${rule.id}')">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Propose "contains" rules for descriptions that are consistently given the same category
+    learnRulesFromHistory() {
+        const groups = {};
+        this.transactions.forEach(t => {
+            if (t.type === 'transfer') return;
+            const key = this.getDescriptionKey(t.description);
+            if (!key) return;
+
+            const groupKey = `${t.type}|${key}`;
+            groups[groupKey] = groups[groupKey] || { type: t.type, key, total: 0, counts: {}, sample: t };
+            groups[groupKey].total++;
+            groups[groupKey].counts[t.category] = (groups[groupKey].counts[t.category] || 0) + 1;
+        });
+
+        return Object.values(groups)
+            .map(group => {
+                const [category, count] = Object.entries(group.counts).sort((a, b) => b[1] - a[1])[0];
+                return { ...group, category, count };
+            })
+            .filter(group =>
+                group.count >= 2 &&
+                group.count / group.total >= 0.75 &&
+                (this.categories[group.type] || []).includes(group.category) &&
+                !this.findCategoryRule(group.sample)
+            )
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 10)
+            .map(group => ({
+                matchType: 'contains',
+                pattern: group.key,
+                type: group.type,
+                category: group.category,
+                count: group.count,
+                total: group.total
+            }));
+    }
+
+    // Show learned rule suggestions in the rules modal
+    showRuleSuggestions() {
+        const container = document.getElementById('ruleSuggestions');
+        if (!container) return;
+
+        this.ruleSuggestions = this.learnRulesFromHistory();
+
+        if (this.ruleSuggestions.length === 0) {
+            container.innerHTML = '<p style="color: #7f8c8d;">No new suggestions. Categorize a few more transactions and try again.</p>';
+            return;
+        }
+
+        container.innerHTML = this.ruleSuggestions.map((suggestion, index) => `
+            <div class="budget-list-item">
+                <div>
+                    <div class="category">"${this.escapeHtml(suggestion.pattern)}" → ${suggestion.category}</div>
+                    <div style="font-size: 0.8rem; color: #7f8c8d;">${suggestion.count} of ${suggestion.total} similar ${suggestion.type} transactions</div>
+                </div>
+                <div class="budget-actions">
+                    <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" onclick="app.addSuggestedRule(${index})">
+                        <i class="fas fa-plus"></i> Add Rule
                     </button>
                 </div>
             </div>
         `).join('');
     }
 
-    // Filter transactions
-    filterTransactions() {
-        const category = document.getElementById('filterCategory').value;
-        const type = document.getElementById('filterType').value;
-        const dateFrom = document.getElementById('filterDateFrom').value;
-        const dateTo = document.getElementById('filterDateTo').value;
+    // Turn a learned suggestion into a rule
+    addSuggestedRule(index) {
+        const suggestion = (this.ruleSuggestions || [])[index];
+        if (!suggestion) return;
+
+        const now = new Date().toISOString();
+        this.categoryRules.push({
+            id: 'rule_' + Date.now().toString(),
+            matchType: suggestion.matchType,
+            pattern: suggestion.pattern,
+            type: suggestion.type,
+            category: suggestion.category,
+            minAmount: null,
+            maxAmount: null,
+            accountId: null,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        this.saveData();
+        this.updateRulesList();
+        this.showRuleSuggestions();
+        this.showAlert(`Rule added for "${suggestion.pattern}"`, 'success');
+    }
+
+    // Collect manual contributions plus tagged and linked-category transactions for a goal
+    getGoalContributions(goal) {
+        const contributions = (goal.contributions || []).map(c => ({
+            id: c.id,
+            amount: parseFloat(c.amount) || 0,
+            date: c.date,
+            note: c.note || 'Manual contribution',
+            source: 'manual'
+        }));
+
+        this.transactions.forEach(t => {
+            const tagged = t.goalId === goal.id;
+            const linkedAmount = goal.linkedCategory && t.type === 'expense' && (!goal.startDate || t.date >= goal.startDate)
+                ? this.getCategoryPortions(t)
+                    .filter(portion => portion.category === goal.linkedCategory)
+                    .reduce((sum, portion) => sum + portion.amount, 0)
+                : 0;
+
+            if (tagged || linkedAmount > 0) {
+                contributions.push({
+                    id: t.id,
+                    amount: tagged ? this.toBaseAmount(t) : linkedAmount,
+                    date: t.date,
+                    note: t.description || t.category,
+                    source: 'transaction'
+                });
+            }
+        });
+
+        return contributions.sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    // Calculate saved amount, percentage and projected completion date for a goal
+    getGoalProgress(goal) {
+        const contributions = this.getGoalContributions(goal);
+        const target = parseFloat(goal.targetAmount) || 0;
+        const saved = contributions.reduce((sum, c) => sum + c.amount, 0);
+        const remaining = Math.max(0, target - saved);
+        const percentage = target > 0 ? Math.min(100, (saved / target) * 100) : 0;
+        const complete = target > 0 && saved >= target;
+
+        // Project completion from the average daily pace since the goal started
+        let projectedDate = null;
+        if (!complete && saved > 0) {
+            const today = this.parseDateKey(this.toDateKey(new Date()));
+            const firstDate = [goal.startDate, ...contributions.map(c => c.date)]
+                .filter(Boolean)
+                .sort()[0];
+            const elapsedDays = Math.max(1, Math.round((today - this.parseDateKey(firstDate)) / (1000 * 60 * 60 * 24)));
+            const dailyPace = saved / elapsedDays;
+            projectedDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() + Math.ceil(remaining / dailyPace));
+        }
+
+        const onTrack = complete || (!!projectedDate && (!goal.targetDate || this.toDateKey(projectedDate) <= goal.targetDate));
+
+        return { contributions, saved, remaining, percentage, complete, projectedDate, onTrack };
+    }
+
+    // Describe where a goal is heading
+    describeGoalProjection(goal, progress) {
+        if (progress.complete) return 'Goal reached!';
+        if (!progress.projectedDate) return 'No contributions yet';
+
+        const projected = `Projected ${this.formatDate(progress.projectedDate)}`;
+        return progress.onTrack ? `${projected} • on track` : `${projected} • behind schedule`;
+    }
 
-        let filtered = [...this.transactions];
+    // Render the savings goals summary card on the dashboard
+    updateGoalsSummary() {
+        const container = document.getElementById('goalsSummary');
+        if (!container) return;
 
-        if (category) {
-            filtered = filtered.filter(t => t.category === category);
+        const goals = this.goals || [];
+        if (goals.length === 0) {
+            container.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No savings goals yet</p>';
+            return;
         }
 
-        if (type) {
-            filtered = filtered.filter(t => t.type === type);
+        container.innerHTML = goals.map(goal => {
+            const progress = this.getGoalProgress(goal);
+            return `
+                <div class="goal-item">
+                    <div class="goal-header">
+                        <span class="goal-name">${goal.name}</span>
+                        <span class="goal-amounts">${this.formatCurrency(progress.saved)} / ${this.formatCurrency(goal.targetAmount)}</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill ${progress.onTrack ? 'safe' : 'warning'}" style="width: ${progress.percentage}%"></div>
+                    </div>
+                    <div class="goal-meta">
+                        <span>${this.describeGoalProjection(goal, progress)}</span>
+                        ${goal.targetDate ? `<span>Target ${this.formatDate(this.parseDateKey(goal.targetDate))}</span>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Open the savings goals modal
+    openGoalsModal() {
+        this.resetGoalForm();
+        this.hideGoalContributionForm();
+        this.populateGoalCategories();
+        this.updateGoalsList();
+        this.openModal('goalsModal');
+    }
+
+    // Populate the linked category dropdown of the goal form
+    populateGoalCategories() {
+        const select = document.getElementById('goalLinkedCategory');
+        if (!select) return;
+
+        const current = select.value;
+        const expenseCategories = this.categories.expense || [];
+        select.innerHTML = '<option value="">None</option>' +
+            expenseCategories.map(cat => `<option value="${cat}">${cat}</option>`).join('');
+        select.value = expenseCategories.includes(current) ? current : '';
+    }
+
+    // Populate the savings goal dropdown of the transaction form, keeping the current choice
+    populateGoalOptions() {
+        const select = document.getElementById('transactionGoal');
+        const group = document.getElementById('transactionGoalGroup');
+        if (!select) return;
+
+        const current = select.value;
+        const goals = this.goals || [];
+        select.innerHTML = '<option value="">None</option>' +
+            goals.map(goal => `<option value="${goal.id}">${goal.name}</option>`).join('');
+        select.value = goals.some(goal => goal.id === current) ? current : '';
+
+        if (group) {
+            group.style.display = goals.length > 0 ? 'block' : 'none';
         }
+    }
+
+    // Reset the goal form back to add mode
+    resetGoalForm() {
+        const form = document.getElementById('goalForm');
+        if (!form) return;
+
+        form.reset();
+        this.editingGoalId = null;
+        document.getElementById('goalFormTitle').textContent = 'New Savings Goal';
+        document.getElementById('goalSubmitBtn').textContent = 'Add Goal';
+    }
+
+    // Save a new or edited goal from the form
+    saveGoal() {
+        const name = document.getElementById('goalName').value.trim();
+        const targetAmount = parseFloat(document.getElementById('goalTargetAmount').value);
+        const targetDate = document.getElementById('goalTargetDate').value;
+        const linkedCategory = document.getElementById('goalLinkedCategory').value;
 
-        if (dateFrom) {
-            filtered = filtered.filter(t => new Date(t.date) >= new Date(dateFrom));
+        if (!name || !targetAmount) {
+            this.showAlert('Please enter a goal name and target amount', 'error');
+            return;
         }
 
-        if (dateTo) {
-            filtered = filtered.filter(t => new Date(t.date) <= new Date(dateTo));
+        const now = new Date().toISOString();
+        const existing = this.goals.find(g => g.id === this.editingGoalId);
+
+        if (existing) {
+            Object.assign(existing, {
+                name: name,
+                targetAmount: targetAmount,
+                targetDate: targetDate || null,
+                linkedCategory: linkedCategory || null,
+                updatedAt: now
+            });
+        } else {
+            this.goals.push({
+                id: 'goal_' + Date.now().toString(),
+                name: name,
+                targetAmount: targetAmount,
+                targetDate: targetDate || null,
+                linkedCategory: linkedCategory || null,
+                startDate: this.toDateKey(new Date()),
+                contributions: [],
+                createdAt: now,
+                updatedAt: now
+            });
         }
 
-        this.displayFilteredTransactions(filtered);
+        this.saveData();
+        this.resetGoalForm();
+        this.updateGoalsList();
+        this.updateGoalsSummary();
+        this.populateGoalOptions();
+        this.showAlert(existing ? 'Savings goal updated!' : 'Savings goal added!', 'success');
     }
 
-    // Delete transaction
-    deleteTransaction(id) {
-        if (confirm('Delete this transaction?')) {
-            this.transactions = this.transactions.filter(t => t.id !== id);
+    // Load a goal into the form for editing
+    editGoal(goalId) {
+        const goal = this.goals.find(g => g.id === goalId);
+        if (!goal) return;
+
+        this.editingGoalId = goal.id;
+        this.populateGoalCategories();
+        document.getElementById('goalName').value = goal.name;
+        document.getElementById('goalTargetAmount').value = goal.targetAmount;
+        document.getElementById('goalTargetDate').value = goal.targetDate || '';
+        document.getElementById('goalLinkedCategory').value = goal.linkedCategory || '';
+        document.getElementById('goalFormTitle').textContent = `Edit Goal: ${goal.name}`;
+        document.getElementById('goalSubmitBtn').textContent = 'Update Goal';
+    }
+
+    // Delete a goal and untag its transactions
+    deleteGoal(goalId) {
+        if (confirm('Delete this savings goal? Tagged transactions will be kept.')) {
+            this.goals = this.goals.filter(g => g.id !== goalId);
+            this.queueCloudDelete('goals', 'goal_id', goalId);
+            // Newer than the cloud copy, so the untagging wins the merge on other devices
+            const now = new Date().toISOString();
+            this.transactions.forEach(t => {
+                if (t.goalId === goalId) {
+                    delete t.goalId;
+                    t.updatedAt = now;
+                }
+            });
+
+            if (this.editingGoalId === goalId) {
+                this.resetGoalForm();
+            }
+            this.hideGoalContributionForm();
             this.saveData();
-            this.updateDashboard();
-            this.displayAllTransactions();
-            this.showAlert('Transaction deleted successfully!', 'success');
+            this.updateGoalsList();
+            this.updateGoalsSummary();
+            this.populateGoalOptions();
+            this.showAlert('Savings goal deleted!', 'success');
         }
     }
 
-    // Check alerts
-    checkAlerts() {
-        const { balance } = this.calculateBalance();
-        
-        // Low balance alert
-        if (balance < this.settings.lowBalanceThreshold) {
-            this.showAlert(`Low balance warning: ${this.formatCurrency(balance)}`, 'warning');
+    // Show the manual contribution form for a goal
+    showGoalContributionForm(goalId) {
+        const goal = this.goals.find(g => g.id === goalId);
+        if (!goal) return;
+
+        this.contributingGoalId = goal.id;
+        document.getElementById('goalContributionLabel').textContent = `Add to ${goal.name}`;
+        document.getElementById('goalContributionAmount').value = '';
+        document.getElementById('goalContributionNote').value = '';
+        document.getElementById('goalContributionDate').value = this.toDateKey(new Date());
+        document.getElementById('goalContributionForm').style.display = 'block';
+    }
+
+    // Hide the manual contribution form
+    hideGoalContributionForm() {
+        this.contributingGoalId = null;
+        const form = document.getElementById('goalContributionForm');
+        if (form) {
+            form.style.display = 'none';
         }
+    }
 
-        // Budget overspending alerts
-        Object.entries(this.budgets).forEach(([category, budget]) => {
-            const spent = this.calculateCategorySpending(category, budget.period);
-            const percentage = (spent / budget.amount) * 100;
-            
-            if (percentage >= 100) {
-                this.showAlert(`Budget exceeded for ${category}!`, 'danger');
-            } else if (percentage >= this.settings.overspendingAlert) {
-                this.showAlert(`Approaching budget limit for ${category} (${percentage.toFixed(0)}%)`, 'warning');
-            }
+    // Record a manual contribution
+    saveGoalContribution() {
+        const goal = this.goals.find(g => g.id === this.contributingGoalId);
+        if (!goal) return;
+
+        const amount = parseFloat(document.getElementById('goalContributionAmount').value);
+        const date = document.getElementById('goalContributionDate').value;
+        const note = document.getElementById('goalContributionNote').value.trim();
+
+        if (!amount || !date) {
+            this.showAlert('Please enter an amount and date', 'error');
+            return;
+        }
+
+        goal.contributions = goal.contributions || [];
+        goal.contributions.push({
+            id: 'contrib_' + Date.now().toString(),
+            amount: amount,
+            date: date,
+            note: note
         });
+        goal.updatedAt = new Date().toISOString();
+
+        this.saveData();
+        this.hideGoalContributionForm();
+        this.updateGoalsList();
+        this.updateGoalsSummary();
+        this.showAlert(`Added ${this.formatCurrency(amount)} to ${goal.name}!`, 'success');
     }
 
-    // Calculate category spending
-    calculateCategorySpending(category, period) {
-        const now = new Date();
-        let startDate;
+    // Remove a manual contribution
+    removeGoalContribution(goalId, contributionId) {
+        const goal = this.goals.find(g => g.id === goalId);
+        if (!goal) return;
 
-        switch (period) {
-            case 'weekly':
-                startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 7);
-                break;
-            case 'monthly':
-                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                break;
-            case 'yearly':
-                startDate = new Date(now.getFullYear(), 0, 1);
-                break;
-            default:
-                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+        if (confirm('Remove this contribution?')) {
+            goal.contributions = (goal.contributions || []).filter(c => c.id !== contributionId);
+            goal.updatedAt = new Date().toISOString();
+            this.saveData();
+            this.updateGoalsList();
+            this.updateGoalsSummary();
         }
+    }
 
-        return this.transactions
-            .filter(t => t.type === 'expense' && 
-                        t.category === category && 
-                        new Date(t.date) >= startDate)
-            .reduce((sum, t) => sum + t.amount, 0);
+    // Render the goals list in the goals modal
+    updateGoalsList() {
+        const list = document.getElementById('goalsList');
+        if (!list) return;
+
+        const goals = this.goals || [];
+        if (goals.length === 0) {
+            list.innerHTML = '<p style="color: #7f8c8d; text-align: center;">No savings goals yet</p>';
+            return;
+        }
+
+        list.innerHTML = goals.map(goal => {
+            const progress = this.getGoalProgress(goal);
+            const contributions = progress.contributions.slice(0, 5).map(c => `
+                <div class="goal-contribution">
+                    <span>${this.formatDate(this.parseDateKey(c.date))} • ${this.escapeHtml(c.note)}</span>
+                    <span>
+                        ${this.formatCurrency(c.amount)}
+                        ${c.source === 'manual' ? `<button class="goal-contribution-remove" onclick="app.removeGoalContribution('${goal.id}', '${c.id}')">&times;</button>` : ''}
+                    </span>
+                </div>
+            `).join('');
+
+            return `
+                <div class="goal-list-item">
+                    <div class="goal-header">
+                        <span class="goal-name">${goal.name}</span>
+                        <div class="budget-actions">
+                            <button class="btn btn-success" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" onclick="app.showGoalContributionForm('${goal.id}')">
+                                <i class="fas fa-plus"></i>
+                            </button>
+                            <button class="btn btn-outline" style="padding: 0.3rem 0.6rem; font-size: 0.8rem;" onclick="app.editGoal('${goal.id}')">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="remove-btn" onclick="app.deleteGoal('${goal.id}')">Delete</button>
+                        </div>
+                    </div>
+                    <div class="goal-amounts">
+                        ${this.formatCurrency(progress.saved)} of ${this.formatCurrency(goal.targetAmount)} (${progress.percentage.toFixed(0)}%)
+                        ${goal.linkedCategory ? ` • linked to ${goal.linkedCategory}` : ''}
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill ${progress.onTrack ? 'safe' : 'warning'}" style="width: ${progress.percentage}%"></div>
+                    </div>
+                    <div class="goal-meta">
+                        <span>${this.describeGoalProjection(goal, progress)}</span>
+                        ${goal.targetDate ? `<span>Target ${this.formatDate(this.parseDateKey(goal.targetDate))}</span>` : ''}
+                    </div>
+                    ${contributions}
+                </div>
+            `;
+        }).join('');
     }
 
     // Request notification permission
@@ -1420,7 +6080,7 @@ class BudgetApp {
         const syncStatusIcon = document.querySelector('#syncStatus i');
         
         if (syncStatusElement && syncStatusIcon) {
-            const now = new Date().toLocaleString();
+            const now = new Date().toLocaleString(this.getLocale());
             
             switch (status) {
                 case 'synced':
@@ -1465,23 +6125,152 @@ class BudgetApp {
             budgets: this.budgets,
             settings: this.settings,
             categories: this.categories,
+            recurringRules: this.recurringRules,
+            goals: this.goals,
+            accounts: this.accounts,
+            importMappings: this.importMappings,
+            categoryRules: this.categoryRules,
+            exchangeRates: this.exchangeRates,
+            envelopeMoves: this.envelopeMoves,
+            budgetTemplates: this.budgetTemplates,
             exportDate: new Date().toISOString(),
             version: this.APP_VERSION
         };
 
-        const dataStr = JSON.stringify(data, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(dataBlob);
-        
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `budget-app-backup-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        
-        this.showAlert('Data exported successfully!', 'success');
+        const dataStr = JSON.stringify(data, null, 2);
+        this.downloadFile(dataStr, `budget-app-backup-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+        
+        this.showAlert('Data exported successfully!', 'success');
+    }
+
+    // Offer text content as a file download
+    downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // Join rows into CSV/TSV text, quoting where needed
+    toDelimited(rows, delimiter = ',') {
+        const escape = value => {
+            let text = value === null || value === undefined ? '' : String(value);
+            // Stop spreadsheets from running text such as "=SUM(...)" or "-2+3" as a formula;
+            // plain numbers like the amount columns' "-20.00" are left alone
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+                text = `'${text}`;
+            }
+            return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escape).join(delimiter)).join('\r\n');
+    }
+
+    // Export the transactions the All Transactions filters currently show
+    exportTransactionsCsv(format = 'csv') {
+        const transactions = this.getFilteredTransactions();
+        if (transactions.length === 0) {
+            this.showAlert('No transactions match the current filters', 'error');
+            return;
+        }
+
+        const base = this.getBaseCurrency();
+        const rows = [['Date', 'Type', 'Description', 'Category', 'Amount', 'Currency', `Amount (${base})`, 'Account', 'To Account', 'Splits', 'Notes', 'Tags']];
+        transactions.forEach(t => {
+            const currency = this.getTransactionCurrency(t);
+            rows.push([
+                t.date,
+                t.type,
+                t.description || '',
+                t.type === 'transfer' ? 'Transfer' : t.category,
+                (parseFloat(t.amount) || 0).toFixed(2),
+                currency,
+                this.toBaseAmount(t).toFixed(2),
+                this.getAccountName(this.getTransactionAccountId(t)),
+                t.type === 'transfer' ? this.getAccountName(t.toAccountId) : '',
+                (t.splits || []).map(split => `${split.category}: ${(parseFloat(split.amount) || 0).toFixed(2)}`).join('; '),
+                t.notes || '',
+                (t.tags || []).join(', ')
+            ]);
+        });
+
+        this.downloadDelimited(rows, 'transactions', format);
+        this.showAlert(`Exported ${transactions.length} transactions`, 'success');
+    }
+
+    // Export each budget with its current period figures
+    exportBudgetsCsv() {
+        const entries = Object.entries(this.budgets);
+        if (entries.length === 0) {
+            this.showAlert('No budgets to export', 'error');
+            return;
+        }
+
+        const rows = [['Category', 'Period', 'Amount', 'Period Start', 'Period End', 'Carried Over', 'Limit', 'Spent', 'Remaining', 'Rollover']];
+        entries.forEach(([category, budget]) => {
+            const range = this.getBudgetPeriodRange(budget);
+            const carryover = this.getBudgetCarryover(category, budget);
+            const limit = (parseFloat(budget.amount) || 0) + carryover;
+            const spent = this.calculateCategorySpending(category, budget, range);
+            rows.push([
+                category,
+                this.describeBudgetPeriod(budget),
+                (parseFloat(budget.amount) || 0).toFixed(2),
+                this.toDateKey(range.start),
+                this.toDateKey(range.end),
+                carryover.toFixed(2),
+                limit.toFixed(2),
+                spent.toFixed(2),
+                (limit - spent).toFixed(2),
+                budget.rollover || 'none'
+            ]);
+        });
+
+        this.downloadDelimited(rows, 'budgets');
+    }
+
+    // Export income and spending per category per month in long format for pivot tables
+    exportMonthlySummaryCsv() {
+        const summary = {};
+        this.transactions
+            .filter(t => t.type === 'income' || t.type === 'expense')
+            .forEach(t => {
+                const month = t.date.slice(0, 7);
+                this.getCategoryPortions(t).forEach(portion => {
+                    const key = `${month}|${t.type}|${portion.category}`;
+                    summary[key] = summary[key] || { month, type: t.type, category: portion.category, amount: 0, count: 0 };
+                    summary[key].amount += portion.amount;
+                    summary[key].count++;
+                });
+            });
+
+        const lines = Object.values(summary).sort((a, b) =>
+            a.month.localeCompare(b.month) || a.type.localeCompare(b.type) || a.category.localeCompare(b.category)
+        );
+        if (lines.length === 0) {
+            this.showAlert('No transactions to summarize', 'error');
+            return;
+        }
+
+        const rows = [['Month', 'Type', 'Category', `Amount (${this.getBaseCurrency()})`, 'Transactions']];
+        lines.forEach(line => rows.push([line.month, line.type, line.category, line.amount.toFixed(2), line.count]));
+
+        this.downloadDelimited(rows, 'monthly-summary');
+    }
+
+    // Download rows as CSV, or as tab-separated text with a BOM so Excel reads the encoding
+    downloadDelimited(rows, name, format = 'csv') {
+        const date = this.toDateKey(new Date());
+        if (format === 'tsv') {
+            this.downloadFile('\uFEFF' + this.toDelimited(rows, '\t'), `budget-app-${name}-${date}.tsv`, 'text/tab-separated-values;charset=utf-8');
+        } else {
+            this.downloadFile(this.toDelimited(rows, ','), `budget-app-${name}-${date}.csv`, 'text/csv;charset=utf-8');
+        }
     }
 
     // Clear all data
@@ -1489,6 +6278,15 @@ class BudgetApp {
         if (confirm('Are you sure you want to clear all data? This action cannot be undone.')) {
             this.transactions = [];
             this.budgets = {};
+            this.recurringRules = [];
+            this.goals = [];
+            this.accounts = [];
+            this.importMappings = [];
+            this.categoryRules = [];
+            this.exchangeRates = [];
+            this.envelopeMoves = [];
+            this.budgetTemplates = [];
+            this.ensureDefaultAccount();
             this.settings = {
                 lowBalanceThreshold: 100,
                 overspendingAlert: 80,
@@ -1515,6 +6313,23 @@ class BudgetApp {
         const file = event.target.files[0];
         if (!file) return;
 
+        // Bank statements go through the preview step instead of replacing all data
+        const statementFormat = (file.name.match(/\.(csv|ofx|qfx|qif)$/i) || [])[1];
+        if (statementFormat) {
+            const format = statementFormat.toLowerCase();
+            const statementReader = new FileReader();
+            statementReader.onload = (e) => {
+                if (format === 'csv') {
+                    this.startCsvImport(e.target.result, file.name);
+                } else {
+                    this.startStatementImport(e.target.result, file.name, format);
+                }
+            };
+            statementReader.readAsText(file);
+            event.target.value = '';
+            return;
+        }
+
         this.updateSyncStatus('Importing data...', 'syncing');
 
         const reader = new FileReader();
@@ -1532,7 +6347,15 @@ class BudgetApp {
                     transactions: this.transactions,
                     budgets: this.budgets,
                     settings: this.settings,
-                    categories: this.categories
+                    categories: this.categories,
+                    recurringRules: this.recurringRules,
+                    goals: this.goals,
+                    accounts: this.accounts,
+                    importMappings: this.importMappings,
+                    categoryRules: this.categoryRules,
+                    exchangeRates: this.exchangeRates,
+                    envelopeMoves: this.envelopeMoves,
+                    budgetTemplates: this.budgetTemplates
                 };
                 localStorage.setItem('budgetApp_backup_before_import', JSON.stringify(backupData));
 
@@ -1541,6 +6364,16 @@ class BudgetApp {
                 this.budgets = importedData.budgets || {};
                 this.settings = importedData.settings || this.settings;
                 this.categories = importedData.categories || this.categories;
+                this.recurringRules = importedData.recurringRules || [];
+                this.goals = importedData.goals || [];
+                this.accounts = importedData.accounts || [];
+                this.importMappings = importedData.importMappings || [];
+                this.categoryRules = importedData.categoryRules || [];
+                this.exchangeRates = importedData.exchangeRates || [];
+                this.envelopeMoves = importedData.envelopeMoves || [];
+                this.budgetTemplates = importedData.budgetTemplates || [];
+                this.ensureDefaultAccount();
+                this.postDueRecurringTransactions();
 
                 // Save imported data
                 this.saveData();
@@ -1550,6 +6383,9 @@ class BudgetApp {
                 this.displayAllTransactions();
                 this.populateCategories();
                 this.updateBudgetsList();
+                this.updateRecurringList();
+                this.populateGoalOptions();
+                this.populateAccountOptions();
 
                 this.showAlert(`Data imported successfully! ${this.transactions.length} transactions loaded.`, 'success');
                 this.updateSyncStatus('Import completed', 'success');
@@ -1571,6 +6407,631 @@ class BudgetApp {
         event.target.value = ''; // Clear the input
     }
 
+    // Split CSV text into rows of fields, honouring quoted fields and escaped quotes
+    parseCsv(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows
+            .map(r => r.map(cell => cell.trim()))
+            .filter(r => r.some(cell => cell !== ''));
+    }
+
+    // Guess the delimiter from the header line
+    detectCsvDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0] || '';
+        const candidates = [',', ';', '\t', '|'];
+        return candidates.reduce((best, delimiter) =>
+            firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+        , ',');
+    }
+
+    // Parse a statement amount such as "1,234.56", "1.234,56", "(12.00)" or "12.00-"
+    parseStatementAmount(value, decimalSeparator = '.') {
+        if (value === undefined || value === null) return NaN;
+
+        let text = String(value).trim();
+        if (!text) return NaN;
+
+        let negative = false;
+        if (/^\(.*\)$/.test(text)) {
+            negative = true;
+            text = text.slice(1, -1);
+        }
+        if (text.endsWith('-')) {
+            negative = true;
+            text = text.slice(0, -1);
+        }
+        if (text.startsWith('-')) {
+            negative = !negative;
+            text = text.slice(1);
+        }
+
+        // Drop currency symbols, spaces and thousands separators
+        text = text.replace(/[^\d.,]/g, '');
+        text = decimalSeparator === ','
+            ? text.replace(/\./g, '').replace(',', '.')
+            : text.replace(/,/g, '');
+
+        const amount = parseFloat(text);
+        return isNaN(amount) ? NaN : (negative ? -amount : amount);
+    }
+
+    // Parse a statement date into a YYYY-MM-DD key using the chosen format
+    parseStatementDate(value, format = 'YYYY-MM-DD') {
+        const parts = String(value || '').trim().split(/[^\d]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+
+        const order = {
+            'YYYY-MM-DD': ['year', 'month', 'day'],
+            'MM/DD/YYYY': ['month', 'day', 'year'],
+            'DD/MM/YYYY': ['day', 'month', 'year'],
+            'DD.MM.YYYY': ['day', 'month', 'year']
+        }[format] || ['year', 'month', 'day'];
+
+        const values = {};
+        order.forEach((key, index) => {
+            values[key] = parseInt(parts[index], 10);
+        });
+
+        if (values.year < 100) values.year += 2000;
+
+        const date = new Date(values.year, values.month - 1, values.day);
+        if (isNaN(date) || date.getMonth() !== values.month - 1 || date.getDate() !== values.day) {
+            return null;
+        }
+        return this.toDateKey(date);
+    }
+
+    // Start an OFX/QFX or QIF statement import: parse, validate and show the preview
+    startStatementImport(text, fileName, format) {
+        let statement;
+        try {
+            statement = format === 'qif' ? this.parseQif(text) : this.parseOfx(text);
+            if (!this.validateStatementData(statement)) {
+                throw new Error('No transactions found in the statement');
+            }
+        } catch (error) {
+            console.error('Statement import failed:', error);
+            this.showAlert(`Failed to read ${fileName}: ${error.message}`, 'error');
+            return;
+        }
+
+        // Banks occasionally repeat a transaction within one download
+        const seenIds = new Set();
+        const candidates = statement.transactions.map((transaction, index) => {
+            const candidate = this.buildImportCandidate(transaction, index);
+            if (candidate.id && seenIds.has(candidate.id) && candidate.status === 'new') {
+                candidate.status = 'duplicate';
+                candidate.selected = false;
+            }
+            seenIds.add(candidate.id);
+            return candidate;
+        });
+
+        this.pendingCsv = null;
+        document.getElementById('csvMappingSection').style.display = 'none';
+        document.getElementById('statementImportTitle').textContent = `Import ${fileName}`;
+        this.populateImportAccountOptions();
+        this.openModal('statementImportModal');
+        this.showImportPreview(candidates);
+
+        // QIF has no fixed date order, so say which one was used
+        if (statement.dateFormat && statement.dateFormat !== 'YYYY-MM-DD') {
+            this.showAlert(`Reading dates as ${statement.dateFormat === 'DD/MM/YYYY' ? 'day/month/year' : 'month/day/year'}`, 'info');
+        }
+    }
+
+    // Parse an OFX/QFX statement (SGML 1.x or XML 2.x); FITID becomes the transaction id
+    parseOfx(text) {
+        if (!/<OFX>/i.test(text)) {
+            throw new Error('Not an OFX file');
+        }
+
+        const decode = (value) => value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&amp;/g, '&')
+            .trim();
+        const readTag = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? decode(match[1]) : '';
+        };
+
+        // Ids end up inside onclick="..." attributes, so keep only characters that are safe there
+        const safeId = (value) => value.replace(/[^\w.-]+/g, '_');
+        const bankAccountId = safeId(readTag(text, 'ACCTID'));
+        const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+        const transactions = blocks.map(block => {
+            const fitId = safeId(readTag(block, 'FITID'));
+            const posted = readTag(block, 'DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+            const rawAmount = readTag(block, 'TRNAMT');
+            const name = readTag(block, 'NAME') || readTag(block, 'PAYEE');
+            const memo = readTag(block, 'MEMO');
+
+            return {
+                id: fitId ? `ofx_${bankAccountId ? bankAccountId + '_' : ''}${fitId}` : null,
+                date: posted ? this.parseStatementDate(`${posted[1]}-${posted[2]}-${posted[3]}`) : null,
+                description: name && memo && name !== memo ? `${name} - ${memo}` : (name || memo),
+                amount: this.parseStatementAmount(rawAmount, /,\d{1,2}$/.test(rawAmount) ? ',' : '.')
+            };
+        });
+
+        return { format: 'ofx', bankAccountId, transactions };
+    }
+
+    // Parse a QIF statement; records without a FITID get an id derived from their content
+    parseQif(text) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        if (!lines.some(line => /^!Type:/i.test(line.trim()))) {
+            throw new Error('Not a QIF file');
+        }
+
+        const records = [];
+        let supported = false;
+        let record = {};
+
+        const finishRecord = () => {
+            if (supported && (record.date || record.amount)) {
+                records.push(record);
+            }
+            record = {};
+        };
+
+        lines.forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            if (line.startsWith('!')) {
+                finishRecord();
+                if (/^!Type:/i.test(line)) {
+                    supported = /^!Type:(Bank|Cash|CCard|Oth A|Oth L)/i.test(line);
+                }
+                return;
+            }
+
+            const code = line[0];
+            const value = line.slice(1).trim();
+            switch (code) {
+                case 'D': record.date = value; break;
+                case 'T':
+                case 'U': record.amount = value; break;
+                case 'P': record.payee = value; break;
+                case 'M': record.memo = value; break;
+                case 'L': record.category = value.replace(/^\[|\]$/g, '').split(':')[0]; break;
+                case '^': finishRecord(); break;
+            }
+        });
+        finishRecord();
+
+        // Day and month order is a property of the whole file, so decide it once rather than per row
+        const dateFormat = this.detectQifDateFormat(records.map(r => r.date));
+        const occurrences = {};
+        const transactions = records.map(r => {
+            const date = this.parseStatementDate(r.date, dateFormat);
+            const amount = this.parseStatementAmount(r.amount);
+
+            // Same date, amount and payee in one file are told apart by their position
+            const key = `${date}_${Math.round(amount * 100)}_${(r.payee || '').toLowerCase()}`;
+            occurrences[key] = (occurrences[key] || 0) + 1;
+
+            return {
+                id: date && !isNaN(amount) ? `qif_${key.replace(/[^\w-]+/g, '')}_${occurrences[key]}` : null,
+                date: date,
+                description: r.payee || r.memo || '',
+                amount: amount,
+                category: r.category
+            };
+        });
+
+        return { format: 'qif', dateFormat, transactions };
+    }
+
+    // Work out a QIF file's date order: a first field over 12 means day first; US month-first otherwise
+    detectQifDateFormat(dates) {
+        const fields = dates
+            .map(value => String(value || '').trim().split(/[^\d]+/).filter(Boolean))
+            .filter(parts => parts.length >= 3);
+
+        if (fields.length > 0 && fields.every(parts => parts[0].length === 4)) return 'YYYY-MM-DD';
+        if (fields.some(parts => parseInt(parts[0], 10) > 12)) return 'DD/MM/YYYY';
+        return 'MM/DD/YYYY';
+    }
+
+    // Guess a column mapping from the CSV header names
+    guessCsvMapping(headers) {
+        const find = (pattern) => headers.findIndex(header => pattern.test(header));
+        const amountColumn = find(/amount|betrag|montant|value/i);
+        const debitColumn = find(/debit|withdrawal|paid out|money out/i);
+        const creditColumn = find(/credit|deposit|paid in|money in/i);
+
+        return {
+            dateColumn: Math.max(0, find(/date/i)),
+            descriptionColumn: Math.max(0, find(/desc|memo|payee|narrative|details|name/i)),
+            amountMode: amountColumn === -1 && debitColumn !== -1 && creditColumn !== -1 ? 'split' : 'single',
+            amountColumn: Math.max(0, amountColumn),
+            debitColumn: Math.max(0, debitColumn),
+            creditColumn: Math.max(0, creditColumn),
+            dateFormat: 'YYYY-MM-DD',
+            decimalSeparator: '.',
+            invertAmounts: false
+        };
+    }
+
+    // Start a CSV statement import: parse the file and show the mapping step
+    startCsvImport(text, fileName) {
+        const cleaned = text.replace(/^\uFEFF/, '');
+        const delimiter = this.detectCsvDelimiter(cleaned);
+        const rows = this.parseCsv(cleaned, delimiter);
+
+        if (rows.length < 2) {
+            this.showAlert('The CSV file has no transactions to import.', 'error');
+            return;
+        }
+
+        const headers = rows[0];
+        this.pendingCsv = { headers, rows: rows.slice(1), delimiter, fileName };
+
+        const columnOptions = headers.map((header, index) =>
+            `<option value="${index}">${header ? this.escapeHtml(header) : `Column ${index + 1}`}</option>`
+        ).join('');
+        ['csvDateColumn', 'csvDescriptionColumn', 'csvAmountColumn', 'csvDebitColumn', 'csvCreditColumn'].forEach(id => {
+            document.getElementById(id).innerHTML = columnOptions;
+        });
+
+        // A saved bank mapping with the same headers makes next month's import one click
+        const saved = (this.importMappings || []).find(m => m.headers.join('|') === headers.join('|'));
+        this.applyCsvMapping(saved || this.guessCsvMapping(headers));
+        this.populateCsvMappingOptions(saved ? saved.id : '');
+
+        document.getElementById('csvMappingSection').style.display = 'block';
+        document.getElementById('statementImportTitle').textContent = `Import ${fileName}`;
+        this.populateImportAccountOptions(saved ? saved.accountId : null);
+        this.openModal('statementImportModal');
+        this.previewCsvImport();
+
+        if (saved) {
+            this.showAlert(`Applied saved mapping "${saved.name}"`, 'info');
+        }
+    }
+
+    // Fill the mapping form from a mapping object
+    applyCsvMapping(mapping) {
+        document.getElementById('csvDateColumn').value = mapping.dateColumn;
+        document.getElementById('csvDescriptionColumn').value = mapping.descriptionColumn;
+        document.getElementById('csvAmountMode').value = mapping.amountMode;
+        document.getElementById('csvAmountColumn').value = mapping.amountColumn;
+        document.getElementById('csvDebitColumn').value = mapping.debitColumn;
+        document.getElementById('csvCreditColumn').value = mapping.creditColumn;
+        document.getElementById('csvDateFormat').value = mapping.dateFormat;
+        document.getElementById('csvDecimalSeparator').value = mapping.decimalSeparator;
+        document.getElementById('csvInvertAmounts').checked = !!mapping.invertAmounts;
+        this.updateCsvAmountFields();
+    }
+
+    // Read the mapping form
+    getCsvMappingFromForm() {
+        return {
+            dateColumn: parseInt(document.getElementById('csvDateColumn').value, 10),
+            descriptionColumn: parseInt(document.getElementById('csvDescriptionColumn').value, 10),
+            amountMode: document.getElementById('csvAmountMode').value,
+            amountColumn: parseInt(document.getElementById('csvAmountColumn').value, 10),
+            debitColumn: parseInt(document.getElementById('csvDebitColumn').value, 10),
+            creditColumn: parseInt(document.getElementById('csvCreditColumn').value, 10),
+            dateFormat: document.getElementById('csvDateFormat').value,
+            decimalSeparator: document.getElementById('csvDecimalSeparator').value,
+            invertAmounts: document.getElementById('csvInvertAmounts').checked
+        };
+    }
+
+    // Toggle single amount vs. debit/credit column fields
+    updateCsvAmountFields() {
+        const split = document.getElementById('csvAmountMode').value === 'split';
+        document.getElementById('csvAmountColumnGroup').style.display = split ? 'none' : 'block';
+        document.getElementById('csvDebitColumnGroup').style.display = split ? 'block' : 'none';
+        document.getElementById('csvCreditColumnGroup').style.display = split ? 'block' : 'none';
+    }
+
+    // Populate the saved mapping dropdown
+    populateCsvMappingOptions(selectedId = '') {
+        const select = document.getElementById('csvSavedMapping');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Choose a saved mapping...</option>' +
+            (this.importMappings || []).map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+        select.value = selectedId;
+    }
+
+    // Apply a saved mapping picked from the dropdown
+    selectSavedCsvMapping(mappingId) {
+        const mapping = (this.importMappings || []).find(m => m.id === mappingId);
+        if (!mapping) return;
+
+        this.applyCsvMapping(mapping);
+        if (mapping.accountId) {
+            document.getElementById('importAccount').value = mapping.accountId;
+        }
+        this.previewCsvImport();
+    }
+
+    // Save the current mapping under a bank name
+    saveCsvMapping() {
+        const name = document.getElementById('csvMappingName').value.trim();
+        if (!name || !this.pendingCsv) {
+            this.showAlert('Please enter a name for this bank mapping', 'error');
+            return;
+        }
+
+        const mapping = {
+            ...this.getCsvMappingFromForm(),
+            name: name,
+            headers: this.pendingCsv.headers,
+            accountId: document.getElementById('importAccount').value
+        };
+
+        this.importMappings = this.importMappings || [];
+        const existing = this.importMappings.find(m => m.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+            Object.assign(existing, mapping);
+        } else {
+            this.importMappings.push({ id: 'map_' + Date.now().toString(), ...mapping });
+        }
+
+        this.saveData();
+        this.populateCsvMappingOptions((existing || this.importMappings[this.importMappings.length - 1]).id);
+        document.getElementById('csvMappingName').value = '';
+        this.showAlert(`Mapping "${name}" saved`, 'success');
+    }
+
+    // Convert CSV rows into candidate transactions with the current mapping
+    previewCsvImport() {
+        if (!this.pendingCsv) return;
+
+        const mapping = this.getCsvMappingFromForm();
+        const candidates = this.pendingCsv.rows.map((row, index) => {
+            const date = this.parseStatementDate(row[mapping.dateColumn], mapping.dateFormat);
+            const description = row[mapping.descriptionColumn] || '';
+            let amount;
+
+            if (mapping.amountMode === 'split') {
+                const debit = this.parseStatementAmount(row[mapping.debitColumn], mapping.decimalSeparator);
+                const credit = this.parseStatementAmount(row[mapping.creditColumn], mapping.decimalSeparator);
+                amount = (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+                if (isNaN(debit) && isNaN(credit)) amount = NaN;
+            } else {
+                amount = this.parseStatementAmount(row[mapping.amountColumn], mapping.decimalSeparator);
+                if (mapping.invertAmounts) amount = -amount;
+            }
+
+            return this.buildImportCandidate({ date, description, amount }, index);
+        });
+
+        this.showImportPreview(candidates);
+    }
+
+    // Build a preview row from a parsed statement line (negative amounts are expenses)
+    buildImportCandidate({ id, date, description, amount, category }, index) {
+        const candidate = {
+            id: id || null,
+            category: category || null,
+            rowNumber: index + 1,
+            date: date,
+            description: (description || '').trim(),
+            amount: Math.abs(amount),
+            type: amount < 0 ? 'expense' : 'income',
+            status: 'new',
+            selected: true
+        };
+
+        if (!date) {
+            candidate.status = 'error';
+            candidate.error = 'Unreadable date';
+        } else if (isNaN(amount) || amount === 0) {
+            candidate.status = 'error';
+            candidate.error = 'Unreadable amount';
+        } else if (candidate.id && this.transactions.some(t => t.id === candidate.id)) {
+            candidate.status = 'duplicate';
+            candidate.error = 'Already imported';
+        } else if (this.isDuplicateTransaction(candidate)) {
+            candidate.status = 'duplicate';
+        }
+
+        candidate.selected = candidate.status === 'new';
+        return candidate;
+    }
+
+    // Match an incoming transaction against existing ones by type, date, amount and description
+    isDuplicateTransaction(candidate) {
+        const normalize = (text) => (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        const description = normalize(candidate.description);
+
+        return this.transactions.some(t =>
+            t.type === candidate.type &&
+            t.date === candidate.date &&
+            Math.abs((parseFloat(t.amount) || 0) - candidate.amount) < 0.005 &&
+            normalize(t.description) === description
+        );
+    }
+
+    // Populate the account dropdown of the import modal
+    populateImportAccountOptions(selectedId = null) {
+        const select = document.getElementById('importAccount');
+        if (!select) return;
+
+        const accounts = this.accounts || [];
+        select.innerHTML = accounts.map(account => `<option value="${account.id}">${account.name}</option>`).join('');
+        if (selectedId && accounts.some(account => account.id === selectedId)) {
+            select.value = selectedId;
+        }
+    }
+
+    // Render the import preview table
+    showImportPreview(candidates) {
+        this.pendingImport = candidates;
+
+        const preview = document.getElementById('importPreview');
+        const summary = document.getElementById('importPreviewSummary');
+        const counts = { new: 0, duplicate: 0, error: 0 };
+        candidates.forEach(c => counts[c.status]++);
+
+        summary.textContent = `${candidates.length} rows: ${counts.new} new, ${counts.duplicate} possible duplicates, ${counts.error} unreadable`;
+
+        const statusLabels = { new: 'New', duplicate: 'Duplicate', error: 'Error' };
+        const accountId = document.getElementById('importAccount').value;
+        preview.innerHTML = `
+            <table class="import-preview-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Date</th>
+                        <th>Description</th>
+                        <th>Category</th>
+                        <th>Amount</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${candidates.map((c, index) => `
+                        <tr class="import-row ${c.status}">
+                            <td>
+                                <input type="checkbox" ${c.selected ? 'checked' : ''} ${c.status === 'error' ? 'disabled' : ''}
+                                       onchange="app.toggleImportRow(${index}, this.checked)">
+                            </td>
+                            <td>${c.date ? this.formatDate(this.parseDateKey(c.date)) : '—'}</td>
+                            <td>${c.description ? this.escapeHtml(c.description) : '—'}</td>
+                            <td>${c.status === 'error' ? '—' : this.getImportCategory(c, accountId)}</td>
+                            <td class="transaction-amount ${c.type}">
+                                ${isNaN(c.amount) ? '—' : `${c.type === 'income' ? '+' : '-'}${this.formatCurrency(c.amount)}`}
+                            </td>
+                            <td>${c.error || statusLabels[c.status]}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.updateImportConfirmButton();
+    }
+
+    // Include or exclude a preview row
+    toggleImportRow(index, selected) {
+        if (this.pendingImport && this.pendingImport[index]) {
+            this.pendingImport[index].selected = selected;
+            this.updateImportConfirmButton();
+        }
+    }
+
+    // Keep the confirm button label in sync with the selection
+    updateImportConfirmButton() {
+        const button = document.getElementById('confirmImportBtn');
+        if (!button) return;
+
+        const count = (this.pendingImport || []).filter(c => c.selected).length;
+        button.textContent = `Import ${count} transaction${count === 1 ? '' : 's'}`;
+        button.disabled = count === 0;
+    }
+
+    // Default category for an imported transaction of the given type
+    getDefaultImportCategory(type) {
+        const categories = this.categories[type] || [];
+        return categories.includes('Other') ? 'Other' : (categories[0] || 'Other');
+    }
+
+    // Category for an imported row: the statement's own category, then rules, then history
+    getImportCategory(candidate, accountId) {
+        if ((this.categories[candidate.type] || []).includes(candidate.category)) {
+            return candidate.category;
+        }
+
+        const suggestion = this.suggestCategory({ ...candidate, accountId });
+        return suggestion ? suggestion.category : this.getDefaultImportCategory(candidate.type);
+    }
+
+    // Commit the selected preview rows into this.transactions
+    commitStatementImport() {
+        // Rows whose statement id is already stored are never imported twice
+        const selected = (this.pendingImport || []).filter(c =>
+            c.selected && c.status !== 'error' && !(c.id && this.transactions.some(t => t.id === c.id))
+        );
+        if (selected.length === 0) {
+            this.showAlert('Nothing selected to import', 'error');
+            return;
+        }
+
+        const accountId = document.getElementById('importAccount').value;
+        const batchId = Date.now().toString();
+
+        selected.forEach((candidate, index) => {
+            this.transactions.push({
+                id: candidate.id || `import_${batchId}_${index}`,
+                type: candidate.type,
+                amount: candidate.amount,
+                category: this.getImportCategory(candidate, accountId),
+                description: candidate.description,
+                date: candidate.date,
+                accountId: accountId
+            });
+        });
+
+        this.saveData();
+        this.updateDashboard();
+        this.displayAllTransactions();
+        this.closeStatementImport();
+        this.showAlert(`Imported ${selected.length} transaction${selected.length === 1 ? '' : 's'}!`, 'success');
+        this.checkAlerts();
+    }
+
+    // Close the import modal and drop the pending data
+    closeStatementImport() {
+        this.pendingCsv = null;
+        this.pendingImport = null;
+        this.closeModal(document.getElementById('statementImportModal'));
+    }
+
+    // Validate a parsed bank statement before it is previewed
+    validateStatementData(data) {
+        if (!data || typeof data !== 'object') return false;
+        if (!Array.isArray(data.transactions) || data.transactions.length === 0) return false;
+        return data.transactions.every(t => t && typeof t === 'object' && 'date' in t && 'amount' in t);
+    }
+
     // Validate imported data structure
     validateImportedData(data) {
         if (!data || typeof data !== 'object') return false;
@@ -1578,6 +7039,14 @@ class BudgetApp {
         if (data.budgets && typeof data.budgets !== 'object') return false;
         if (data.settings && typeof data.settings !== 'object') return false;
         if (data.categories && typeof data.categories !== 'object') return false;
+        if (data.recurringRules && !Array.isArray(data.recurringRules)) return false;
+        if (data.goals && !Array.isArray(data.goals)) return false;
+        if (data.accounts && !Array.isArray(data.accounts)) return false;
+        if (data.importMappings && !Array.isArray(data.importMappings)) return false;
+        if (data.categoryRules && !Array.isArray(data.categoryRules)) return false;
+        if (data.exchangeRates && !Array.isArray(data.exchangeRates)) return false;
+        if (data.envelopeMoves && !Array.isArray(data.envelopeMoves)) return false;
+        if (data.budgetTemplates && !Array.isArray(data.budgetTemplates)) return false;
         return true;
     }
 
@@ -1672,7 +7141,7 @@ class BudgetApp {
         }
         
         if (lastUpdateElement) {
-            lastUpdateElement.textContent = `Last update: ${new Date().toLocaleTimeString()}`;
+            lastUpdateElement.textContent = `Last update: ${new Date().toLocaleTimeString(this.getLocale())}`;
         }
         
         // Auto-reset success/error status after 3 seconds
@@ -1700,7 +7169,7 @@ class BudgetApp {
             
             const lastUpdateElement = document.getElementById('syncLastUpdate');
             if (lastUpdateElement) {
-                lastUpdateElement.textContent = `Last save: ${lastSaveDate.toLocaleString()}`;
+                lastUpdateElement.textContent = `Last save: ${lastSaveDate.toLocaleString(this.getLocale())}`;
             }
         } else {
             this.updateSyncStatus(`${deviceInfo} - No data`, 'ready');
@@ -1791,9 +7260,19 @@ class BudgetApp {
     async performCloudSync() {
         if (!this.supabaseSync || !this.cloudSyncEnabled) return false;
 
+        // One sync at a time; a save made while one runs gets its own pass afterwards
+        if (this.cloudSyncRunning) {
+            this.cloudSyncQueued = true;
+            return false;
+        }
+        this.cloudSyncRunning = true;
+
         try {
             this.updateSyncStatus('Syncing with cloud...', 'syncing');
             
+            // Send deletions first so the download doesn't bring deleted items back
+            await this.flushCloudDeletes();
+
             // Step 1: Download existing cloud data first
             console.log('Downloading cloud data...');
             const cloudData = await this.supabaseSync.downloadData();
@@ -1812,14 +7291,27 @@ class BudgetApp {
                 transactions: this.transactions || [],
                 budgets: this.budgets || [],
                 categories: this.categories || [],
+                goals: this.goals || [],
+                accounts: this.accounts || [],
+                categoryRules: this.categoryRules || [],
+                envelopeMoves: this.envelopeMoves || [],
                 settings: this.getAppSettings(),
                 lastModified: new Date().toISOString()
             };
 
+            // Taken before the upload so items added while it runs aren't recorded as already in the cloud
+            const syncedIds = {
+                goals: dataToSync.goals.map(g => g.id),
+                accounts: dataToSync.accounts.map(a => a.id),
+                rules: dataToSync.categoryRules.map(r => r.id),
+                envelopeMoves: dataToSync.envelopeMoves.map(m => m.id)
+            };
+
             const success = await this.supabaseSync.uploadData(dataToSync);
             
             if (success) {
                 this.lastCloudSync = new Date();
+                this.saveSyncedIds(syncedIds);
                 this.updateSyncStatus('Synced with cloud', 'success');
                 console.log('Two-way sync completed successfully');
                 return true;
@@ -1831,6 +7323,12 @@ class BudgetApp {
             console.error('Error performing cloud sync:', error);
             this.updateSyncStatus('Cloud sync error', 'error');
             return false;
+        } finally {
+            this.cloudSyncRunning = false;
+            if (this.cloudSyncQueued) {
+                this.cloudSyncQueued = false;
+                this.performCloudSync();
+            }
         }
     }
 
@@ -1850,12 +7348,36 @@ class BudgetApp {
 
             // Merge budgets
             if (cloudData.budgets) {
-                this.budgets = this.mergeArrayData(this.budgets || [], cloudData.budgets, 'category');
+                this.budgets = this.mergeKeyedData(this.budgets || {}, cloudData.budgets);
+            }
+
+            // Merge savings goals
+            if (cloudData.goals) {
+                this.goals = this.mergeArrayData(this.withoutRemoteDeletes('goals', this.goals || [], cloudData.goals),
+                    this.withoutPendingDeletes('goals', cloudData.goals), 'id');
+            }
+
+            // Merge accounts
+            if (cloudData.accounts) {
+                this.accounts = this.mergeArrayData(this.withoutRemoteDeletes('accounts', this.accounts || [], cloudData.accounts),
+                    this.withoutPendingDeletes('accounts', cloudData.accounts), 'id');
+            }
+
+            // Merge categorization rules
+            if (cloudData.categoryRules) {
+                this.categoryRules = this.mergeArrayData(this.withoutRemoteDeletes('rules', this.categoryRules || [], cloudData.categoryRules),
+                    this.withoutPendingDeletes('rules', cloudData.categoryRules), 'id');
+            }
+
+            // Merge envelope assignments and moves
+            if (cloudData.envelopeMoves) {
+                this.envelopeMoves = this.mergeArrayData(this.withoutRemoteDeletes('envelopeMoves', this.envelopeMoves || [], cloudData.envelopeMoves),
+                    this.withoutPendingDeletes('envelopeMoves', cloudData.envelopeMoves), 'id');
             }
 
             // Merge categories
             if (cloudData.categories) {
-                this.categories = this.mergeArrayData(this.categories || [], cloudData.categories, 'name');
+                this.categories = this.mergeCategoryLists(this.categories || {}, cloudData.categories);
             }
 
             // Update settings
@@ -1863,8 +7385,9 @@ class BudgetApp {
                 this.mergeSettings(cloudData.settings);
             }
 
-            // Save merged data locally
-            this.saveData();
+            // Save merged data locally; the sync that downloaded it uploads it next
+            this.invalidateAggregateIndex();
+            this.saveData({ sync: false });
             
             // Update UI to reflect merged data
             this.updateDisplay();
@@ -1892,8 +7415,8 @@ class BudgetApp {
                 const localIndex = merged.findIndex(item => item[keyField] === cloudItem[keyField]);
                 const localItem = merged[localIndex];
                 
-                const cloudTime = new Date(cloudItem.timestamp || cloudItem.date || 0);
-                const localTime = new Date(localItem.timestamp || localItem.date || 0);
+                const cloudTime = new Date(cloudItem.updatedAt || cloudItem.timestamp || cloudItem.date || 0);
+                const localTime = new Date(localItem.updatedAt || localItem.timestamp || localItem.date || 0);
                 
                 if (cloudTime > localTime) {
                     merged[localIndex] = cloudItem;
@@ -1904,6 +7427,107 @@ class BudgetApp {
         return merged;
     }
 
+    // Merge objects keyed by name (budgets by category), keeping the newer side of each key
+    mergeKeyedData(localData, cloudData) {
+        const merged = { ...localData };
+        Object.entries(cloudData).forEach(([key, cloudItem]) => {
+            const localItem = merged[key];
+            if (!localItem || new Date(cloudItem.updatedAt || 0) > new Date(localItem.updatedAt || 0)) {
+                merged[key] = cloudItem;
+            }
+        });
+        return merged;
+    }
+
+    // Merge category lists by type, keeping every name either side has
+    mergeCategoryLists(localCategories, cloudCategories) {
+        const merged = { ...localCategories };
+        Object.entries(cloudCategories).forEach(([type, names]) => {
+            merged[type] = [...new Set([...(merged[type] || []), ...(names || [])])];
+        });
+        return merged;
+    }
+
+    // Deletions waiting to reach the cloud, as { table, idColumn, id }
+    getPendingCloudDeletes() {
+        try {
+            const pending = localStorage.getItem('budgetApp_pendingDeletes');
+            return pending ? JSON.parse(pending) : [];
+        } catch (error) {
+            console.error('Error getting pending cloud deletes:', error);
+            return [];
+        }
+    }
+
+    // Save the pending deletion list
+    savePendingCloudDeletes(pending) {
+        try {
+            localStorage.setItem('budgetApp_pendingDeletes', JSON.stringify(pending));
+        } catch (error) {
+            console.error('Error saving pending cloud deletes:', error);
+        }
+    }
+
+    // Remember that a synced item was deleted so the next sync removes its cloud row
+    queueCloudDelete(table, idColumn, id) {
+        if (!this.supabaseSync) return;
+        this.savePendingCloudDeletes([...this.getPendingCloudDeletes(), { table, idColumn, id }]);
+    }
+
+    // Delete queued rows from the cloud; anything that fails stays queued for the next sync
+    async flushCloudDeletes() {
+        const pending = this.getPendingCloudDeletes();
+        if (pending.length === 0) return;
+
+        const failed = [];
+        for (const item of pending) {
+            try {
+                await this.supabaseSync.deleteRecord(item.table, item.idColumn, item.id);
+            } catch (error) {
+                console.error('Error deleting cloud row:', error);
+                failed.push(item);
+            }
+        }
+
+        // Re-read the queue so deletions made while these ran are kept
+        const done = pending.filter(item => !failed.includes(item));
+        this.savePendingCloudDeletes(this.getPendingCloudDeletes()
+            .filter(item => !done.some(d => d.table === item.table && d.id === item.id)));
+    }
+
+    // Drop cloud items that were deleted here but whose deletion hasn't reached the cloud yet
+    withoutPendingDeletes(table, cloudItems) {
+        const deleted = new Set(this.getPendingCloudDeletes().filter(item => item.table === table).map(item => item.id));
+        return cloudItems.filter(item => !deleted.has(item.id));
+    }
+
+    // Ids the cloud held after the last sync, by table, for the signed-in cloud user
+    getSyncedIds() {
+        try {
+            const synced = JSON.parse(localStorage.getItem('budgetApp_syncedIds') || 'null');
+            return synced && synced.userId === this.supabaseSync.userId ? synced.tables : {};
+        } catch (error) {
+            console.error('Error getting synced ids:', error);
+            return {};
+        }
+    }
+
+    // Remember which ids the cloud holds now that an upload went through
+    saveSyncedIds(tables) {
+        try {
+            localStorage.setItem('budgetApp_syncedIds', JSON.stringify({ userId: this.supabaseSync.userId, tables }));
+        } catch (error) {
+            console.error('Error saving synced ids:', error);
+        }
+    }
+
+    // Drop local items that were in the cloud at the last sync but are gone now (deleted on another device)
+    withoutRemoteDeletes(table, localItems, cloudItems) {
+        const synced = new Set(this.getSyncedIds()[table] || []);
+        const inCloud = new Set(cloudItems.map(item => item.id));
+        return localItems.filter(item => !synced.has(item.id) || inCloud.has(item.id));
+    }
+
     // Merge settings with cloud data
     mergeSettings(cloudSettings) {
         // Simple merge - cloud settings take precedence for most values
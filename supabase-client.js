@@ -169,6 +169,26 @@ class SupabaseSync {
                 await this.uploadCategories(localData.categories);
             }
 
+            // Upload accounts
+            if (localData.accounts && localData.accounts.length > 0) {
+                await this.uploadAccounts(localData.accounts);
+            }
+
+            // Upload savings goals
+            if (localData.goals && localData.goals.length > 0) {
+                await this.uploadGoals(localData.goals);
+            }
+
+            // Upload categorization rules
+            if (localData.categoryRules && localData.categoryRules.length > 0) {
+                await this.uploadCategoryRules(localData.categoryRules);
+            }
+
+            // Upload envelope assignments and moves
+            if (localData.envelopeMoves && localData.envelopeMoves.length > 0) {
+                await this.uploadEnvelopeMoves(localData.envelopeMoves);
+            }
+
             // Log successful sync
             await this.logSyncOperation('upload', 'all', localData.transactions?.length || 0, 'success');
 
@@ -199,7 +219,11 @@ class SupabaseSync {
                 transactions: await this.downloadTransactions(),
                 budgets: await this.downloadBudgets(),
                 settings: await this.downloadSettings(),
-                categories: await this.downloadCategories()
+                categories: await this.downloadCategories(),
+                goals: await this.downloadGoals(),
+                accounts: await this.downloadAccounts(),
+                categoryRules: await this.downloadCategoryRules(),
+                envelopeMoves: await this.downloadEnvelopeMoves()
             };
 
             // Log successful sync
@@ -225,9 +249,17 @@ class SupabaseSync {
             transaction_id: t.id,
             type: t.type,
             amount: parseFloat(t.amount),
+            currency: t.currency || null,
             category: t.category,
             description: t.description,
-            date: t.date
+            date: t.date,
+            goal_id: t.goalId || null,
+            account_id: t.accountId || null,
+            to_account_id: t.toAccountId || null,
+            splits: t.splits || null,
+            notes: t.notes || null,
+            tags: t.tags && t.tags.length ? t.tags : null,
+            ...(t.updatedAt ? { client_updated_at: t.updatedAt } : {})
         }));
 
         // Use upsert to handle duplicates
@@ -244,10 +276,18 @@ class SupabaseSync {
 
     // Upload budgets
     async uploadBudgets(budgets) {
-        const supabaseBudgets = Object.entries(budgets).map(([category, amount]) => ({
+        const supabaseBudgets = Object.entries(budgets).map(([category, budget]) => ({
             user_id: this.userId,
             category: category,
-            amount: parseFloat(amount)
+            amount: parseFloat(typeof budget === 'object' ? budget.amount : budget),
+            period: budget.period || 'monthly',
+            period_start_day: budget.periodStartDay || null,
+            start_date: budget.startDate || null,
+            end_date: budget.endDate || null,
+            rollover: budget.rollover || 'none',
+            rollover_cap: budget.rolloverCap ?? null,
+            rollover_start: budget.rolloverStart || null,
+            amount_history: budget.amountHistory || null
         }));
 
         const { error } = await this.supabase
@@ -293,6 +333,116 @@ class SupabaseSync {
         console.log('Uploaded categories');
     }
 
+    // Upload accounts
+    async uploadAccounts(accounts) {
+        const supabaseAccounts = accounts.map(a => ({
+            user_id: this.userId,
+            account_id: a.id,
+            name: a.name,
+            type: a.type,
+            opening_balance: parseFloat(a.openingBalance) || 0,
+            currency: a.currency || 'USD',
+            ...(a.updatedAt ? { client_updated_at: a.updatedAt } : {})
+        }));
+
+        const { error } = await this.supabase
+            .from(this.config.tables.accounts)
+            .upsert(supabaseAccounts, { 
+                onConflict: 'user_id,account_id',
+                ignoreDuplicates: false 
+            });
+
+        if (error) throw error;
+        console.log(`Uploaded ${accounts.length} accounts`);
+    }
+
+    // Upload savings goals
+    async uploadGoals(goals) {
+        const supabaseGoals = goals.map(g => ({
+            user_id: this.userId,
+            goal_id: g.id,
+            name: g.name,
+            target_amount: parseFloat(g.targetAmount),
+            target_date: g.targetDate || null,
+            linked_category: g.linkedCategory || null,
+            start_date: g.startDate || null,
+            contributions: g.contributions || [],
+            ...(g.updatedAt ? { client_updated_at: g.updatedAt } : {})
+        }));
+
+        const { error } = await this.supabase
+            .from(this.config.tables.goals)
+            .upsert(supabaseGoals, { 
+                onConflict: 'user_id,goal_id',
+                ignoreDuplicates: false 
+            });
+
+        if (error) throw error;
+        console.log(`Uploaded ${goals.length} savings goals`);
+    }
+
+    // Upload categorization rules (position keeps their precedence order)
+    async uploadCategoryRules(rules) {
+        const supabaseRules = rules.map((r, index) => ({
+            user_id: this.userId,
+            rule_id: r.id,
+            match_type: r.matchType,
+            pattern: r.pattern || null,
+            type: r.type,
+            category: r.category,
+            min_amount: r.minAmount ?? null,
+            max_amount: r.maxAmount ?? null,
+            account_id: r.accountId || null,
+            position: index,
+            ...(r.updatedAt ? { client_updated_at: r.updatedAt } : {})
+        }));
+
+        const { error } = await this.supabase
+            .from(this.config.tables.rules)
+            .upsert(supabaseRules, { 
+                onConflict: 'user_id,rule_id',
+                ignoreDuplicates: false 
+            });
+
+        if (error) throw error;
+        console.log(`Uploaded ${rules.length} categorization rules`);
+    }
+
+    // Upload envelope assignments and moves (an empty from/to is the ready-to-assign pool)
+    async uploadEnvelopeMoves(moves) {
+        const supabaseMoves = moves.map(m => ({
+            user_id: this.userId,
+            move_id: m.id,
+            date: m.date,
+            from_category: m.from || null,
+            to_category: m.to || null,
+            amount: parseFloat(m.amount),
+            note: m.note || null
+        }));
+
+        const { error } = await this.supabase
+            .from(this.config.tables.envelopeMoves)
+            .upsert(supabaseMoves, { 
+                onConflict: 'user_id,move_id',
+                ignoreDuplicates: false 
+            });
+
+        if (error) throw error;
+        console.log(`Uploaded ${moves.length} envelope moves`);
+    }
+
+    // Delete one row by its app id (upserts never remove rows, so deletions have to be sent explicitly)
+    async deleteRecord(table, idColumn, id) {
+        const { error } = await this.supabase
+            .from(this.config.tables[table])
+            .delete()
+            .eq('user_id', this.userId)
+            .eq(idColumn, id);
+
+        if (error) throw error;
+        console.log(`Deleted ${id} from ${table}`);
+    }
+
     // Download transactions
     async downloadTransactions() {
         const { data, error } = await this.supabase
@@ -307,9 +457,17 @@ class SupabaseSync {
             id: t.transaction_id,
             type: t.type,
             amount: t.amount.toString(),
+            ...(t.currency ? { currency: t.currency } : {}),
             category: t.category,
             description: t.description,
-            date: t.date
+            date: t.date,
+            ...(t.goal_id ? { goalId: t.goal_id } : {}),
+            ...(t.account_id ? { accountId: t.account_id } : {}),
+            ...(t.to_account_id ? { toAccountId: t.to_account_id } : {}),
+            ...(t.splits ? { splits: t.splits } : {}),
+            ...(t.notes ? { notes: t.notes } : {}),
+            ...(t.tags ? { tags: t.tags } : {}),
+            ...(t.client_updated_at ? { updatedAt: t.client_updated_at } : {})
         }));
     }
 
@@ -324,7 +482,18 @@ class SupabaseSync {
 
         const budgets = {};
         data.forEach(b => {
-            budgets[b.category] = b.amount.toString();
+            budgets[b.category] = {
+                amount: parseFloat(b.amount),
+                period: b.period || 'monthly',
+                ...(b.period_start_day ? { periodStartDay: b.period_start_day } : {}),
+                ...(b.start_date ? { startDate: b.start_date, endDate: b.end_date } : {}),
+                ...(b.rollover && b.rollover !== 'none' ? {
+                    rollover: b.rollover,
+                    rolloverCap: b.rollover_cap === null ? null : parseFloat(b.rollover_cap),
+                    rolloverStart: b.rollover_start
+                } : {}),
+                ...(b.amount_history ? { amountHistory: b.amount_history } : {})
+            };
         });
         return budgets;
     }
@@ -353,6 +522,90 @@ class SupabaseSync {
         return data?.categories_data || null;
     }
 
+    // Download savings goals
+    async downloadGoals() {
+        const { data, error } = await this.supabase
+            .from(this.config.tables.goals)
+            .select('*')
+            .eq('user_id', this.userId);
+
+        if (error) throw error;
+
+        return data.map(g => ({
+            id: g.goal_id,
+            name: g.name,
+            targetAmount: parseFloat(g.target_amount),
+            targetDate: g.target_date,
+            linkedCategory: g.linked_category,
+            startDate: g.start_date,
+            contributions: g.contributions || [],
+            ...(g.client_updated_at ? { updatedAt: g.client_updated_at } : {})
+        }));
+    }
+
+    // Download accounts
+    async downloadAccounts() {
+        const { data, error } = await this.supabase
+            .from(this.config.tables.accounts)
+            .select('*')
+            .eq('user_id', this.userId);
+
+        if (error) throw error;
+
+        return data.map(a => ({
+            id: a.account_id,
+            name: a.name,
+            type: a.type,
+            openingBalance: parseFloat(a.opening_balance) || 0,
+            currency: a.currency || 'USD',
+            ...(a.client_updated_at ? { updatedAt: a.client_updated_at } : {})
+        }));
+    }
+
+    // Download categorization rules
+    async downloadCategoryRules() {
+        const { data, error } = await this.supabase
+            .from(this.config.tables.rules)
+            .select('*')
+            .eq('user_id', this.userId)
+            .order('position', { ascending: true });
+
+        if (error) throw error;
+
+        return data.map(r => ({
+            id: r.rule_id,
+            matchType: r.match_type,
+            pattern: r.pattern || '',
+            type: r.type,
+            category: r.category,
+            minAmount: r.min_amount === null ? null : parseFloat(r.min_amount),
+            maxAmount: r.max_amount === null ? null : parseFloat(r.max_amount),
+            accountId: r.account_id,
+            ...(r.client_updated_at ? { updatedAt: r.client_updated_at } : {})
+        }));
+    }
+
+    // Download envelope assignments and moves
+    async downloadEnvelopeMoves() {
+        const { data, error } = await this.supabase
+            .from(this.config.tables.envelopeMoves)
+            .select('*')
+            .eq('user_id', this.userId)
+            .order('date', { ascending: true });
+
+        if (error) throw error;
+
+        return data.map(m => ({
+            id: m.move_id,
+            date: m.date,
+            from: m.from_category || '',
+            to: m.to_category || '',
+            amount: parseFloat(m.amount),
+            note: m.note || '',
+            createdAt: m.created_at
+        }));
+    }
+
     // Log sync operation
     async logSyncOperation(operation, tableName, recordCount, status, errorMessage = null) {
         try {
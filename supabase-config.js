@@ -15,6 +15,10 @@ const SUPABASE_CONFIG = {
         budgets: 'budget_budgets',
         settings: 'budget_settings',
         categories: 'budget_categories',
+        goals: 'budget_goals',
+        accounts: 'budget_accounts',
+        rules: 'budget_rules',
+        envelopeMoves: 'budget_envelope_moves',
         sync_log: 'budget_sync_log'
     },
     
@@ -19,11 +19,19 @@ CREATE TABLE budget_transactions (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     user_id UUID REFERENCES budget_users(id) ON DELETE CASCADE,
     transaction_id TEXT NOT NULL, -- Original app transaction ID
-    type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+    type TEXT NOT NULL CHECK (type IN ('income', 'expense', 'transfer')),
     amount DECIMAL(10,2) NOT NULL,
+    currency TEXT, -- Currency the amount was recorded in (account currency when empty)
     category TEXT NOT NULL,
     description TEXT,
     date DATE NOT NULL,
+    goal_id TEXT, -- Savings goal the transaction is tagged to
+    account_id TEXT, -- Account the money came from (or went into)
+    to_account_id TEXT, -- Destination account for transfers
+    splits JSONB, -- Category/amount lines of a split transaction
+    notes TEXT, -- Free-text notes searched alongside the description
+    tags JSONB, -- Array of tag strings
+    client_updated_at TIMESTAMP WITH TIME ZONE, -- Last edit on a device (updated_at is reset by the trigger on every upload)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(user_id, transaction_id)
@@ -35,7 +43,14 @@ CREATE TABLE budget_budgets (
     user_id UUID REFERENCES budget_users(id) ON DELETE CASCADE,
     category TEXT NOT NULL,
     amount DECIMAL(10,2) NOT NULL,
-    period TEXT DEFAULT 'monthly',
+    period TEXT DEFAULT 'monthly', -- weekly, monthly, paycycle, quarterly, yearly or custom
+    period_start_day INTEGER, -- Pay cycle start day of the month
+    start_date DATE, -- Custom range start
+    end_date DATE, -- Custom range end
+    rollover TEXT DEFAULT 'none', -- none, surplus, deficit or both
+    rollover_cap DECIMAL(10,2), -- Largest amount carried either way
+    rollover_start DATE, -- First period counted towards the carryover
+    amount_history JSONB, -- [{ from, amount }] amount changes by period start
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(user_id, category)
@@ -59,6 +74,101 @@ CREATE TABLE budget_categories (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Savings goals table
+CREATE TABLE budget_goals (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES budget_users(id) ON DELETE CASCADE,
+    goal_id TEXT NOT NULL, -- Original app goal ID
+    name TEXT NOT NULL,
+    target_amount DECIMAL(10,2) NOT NULL,
+    target_date DATE,
+    linked_category TEXT,
+    start_date DATE,
+    contributions JSONB DEFAULT '[]'::jsonb, -- Manual contributions
+    client_updated_at TIMESTAMP WITH TIME ZONE, -- Last edit on a device
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, goal_id)
+);
+
+-- Accounts table
+CREATE TABLE budget_accounts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES budget_users(id) ON DELETE CASCADE,
+    account_id TEXT NOT NULL, -- Original app account ID
+    name TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('checking', 'savings', 'credit', 'cash')),
+    opening_balance DECIMAL(12,2) DEFAULT 0,
+    currency TEXT DEFAULT 'USD',
+    client_updated_at TIMESTAMP WITH TIME ZONE, -- Last edit on a device
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, account_id)
+);
+
+-- Auto-categorization rules table
+CREATE TABLE budget_rules (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES budget_users(id) ON DELETE CASCADE,
+    rule_id TEXT NOT NULL, -- Original app rule ID
+    match_type TEXT NOT NULL CHECK (match_type IN ('contains', 'exact', 'regex')),
+    pattern TEXT,
+    type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+    category TEXT NOT NULL,
+    min_amount DECIMAL(12,2),
+    max_amount DECIMAL(12,2),
+    account_id TEXT,
+    position INTEGER DEFAULT 0, -- Rules are applied in ascending position
+    client_updated_at TIMESTAMP WITH TIME ZONE, -- Last edit on a device
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, rule_id)
+);
+
+-- Envelope budgeting: money assigned from the ready-to-assign pool or moved between envelopes
+CREATE TABLE budget_envelope_moves (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES budget_users(id) ON DELETE CASCADE,
+    move_id TEXT NOT NULL, -- Original app move ID
+    date DATE NOT NULL,
+    from_category TEXT, -- NULL is the ready-to-assign pool
+    to_category TEXT, -- NULL is the ready-to-assign pool
+    amount DECIMAL(12,2) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, move_id)
+);
+
+-- Existing installs: keep the device edit time apart from the trigger-maintained updated_at
+ALTER TABLE budget_transactions ADD COLUMN IF NOT EXISTS client_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Existing installs: add goal tagging, accounts, transfers, splits and currencies to transactions
+ALTER TABLE budget_transactions ADD COLUMN IF NOT EXISTS goal_id TEXT;
+ALTER TABLE budget_transactions ADD COLUMN IF NOT EXISTS account_id TEXT;
+ALTER TABLE budget_transactions ADD COLUMN IF NOT EXISTS to_account_id TEXT;
+ALTER TABLE budget_transactions ADD COLUMN IF NOT EXISTS splits JSONB;
+ALTER TABLE budget_transactions ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE budget_transactions DROP CONSTRAINT IF EXISTS budget_transactions_type_check;
+ALTER TABLE budget_transactions ADD CONSTRAINT budget_transactions_type_check CHECK (type IN ('income', 'expense', 'transfer'));
+
+-- Existing installs: add transaction notes and tags
+ALTER TABLE budget_transactions ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE budget_transactions ADD COLUMN IF NOT EXISTS tags JSONB;
+
+-- Existing installs: add pay-cycle and custom budget periods
+ALTER TABLE budget_budgets ADD COLUMN IF NOT EXISTS period_start_day INTEGER;
+ALTER TABLE budget_budgets ADD COLUMN IF NOT EXISTS start_date DATE;
+ALTER TABLE budget_budgets ADD COLUMN IF NOT EXISTS end_date DATE;
+
+-- Existing installs: add budget rollover
+ALTER TABLE budget_budgets ADD COLUMN IF NOT EXISTS rollover TEXT DEFAULT 'none';
+ALTER TABLE budget_budgets ADD COLUMN IF NOT EXISTS rollover_cap DECIMAL(10,2);
+ALTER TABLE budget_budgets ADD COLUMN IF NOT EXISTS rollover_start DATE;
+
+-- Existing installs: add budget amount history
+ALTER TABLE budget_budgets ADD COLUMN IF NOT EXISTS amount_history JSONB;
+
 -- Sync log table for tracking sync operations
 CREATE TABLE budget_sync_log (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
@@ -75,6 +185,10 @@ CREATE TABLE budget_sync_log (
 -- Create indexes for better performance
 CREATE INDEX idx_transactions_user_date ON budget_transactions(user_id, date DESC);
 CREATE INDEX idx_budgets_user_category ON budget_budgets(user_id, category);
+CREATE INDEX idx_goals_user ON budget_goals(user_id);
+CREATE INDEX idx_accounts_user ON budget_accounts(user_id);
+CREATE INDEX idx_rules_user_position ON budget_rules(user_id, position);
+CREATE INDEX idx_envelope_moves_user_date ON budget_envelope_moves(user_id, date);
 CREATE INDEX idx_sync_log_user_created ON budget_sync_log(user_id, created_at DESC);
 
 -- Enable Row Level Security (RLS)
@@ -83,6 +197,10 @@ ALTER TABLE budget_transactions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE budget_budgets ENABLE ROW LEVEL SECURITY;
 ALTER TABLE budget_settings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE budget_categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE budget_goals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE budget_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE budget_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE budget_envelope_moves ENABLE ROW LEVEL SECURITY;
 ALTER TABLE budget_sync_log ENABLE ROW LEVEL SECURITY;
 
 -- Create RLS policies (users can only access their own data)
@@ -108,6 +226,26 @@ CREATE POLICY "Users can view own categories" ON budget_categories FOR SELECT US
 CREATE POLICY "Users can insert own categories" ON budget_categories FOR INSERT WITH CHECK (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
 CREATE POLICY "Users can update own categories" ON budget_categories FOR UPDATE USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
 
+CREATE POLICY "Users can view own goals" ON budget_goals FOR SELECT USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can insert own goals" ON budget_goals FOR INSERT WITH CHECK (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can update own goals" ON budget_goals FOR UPDATE USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can delete own goals" ON budget_goals FOR DELETE USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+
+CREATE POLICY "Users can view own accounts" ON budget_accounts FOR SELECT USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can insert own accounts" ON budget_accounts FOR INSERT WITH CHECK (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can update own accounts" ON budget_accounts FOR UPDATE USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can delete own accounts" ON budget_accounts FOR DELETE USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+
+CREATE POLICY "Users can view own rules" ON budget_rules FOR SELECT USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can insert own rules" ON budget_rules FOR INSERT WITH CHECK (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can update own rules" ON budget_rules FOR UPDATE USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can delete own rules" ON budget_rules FOR DELETE USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+
+CREATE POLICY "Users can view own envelope moves" ON budget_envelope_moves FOR SELECT USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can insert own envelope moves" ON budget_envelope_moves FOR INSERT WITH CHECK (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can update own envelope moves" ON budget_envelope_moves FOR UPDATE USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+CREATE POLICY "Users can delete own envelope moves" ON budget_envelope_moves FOR DELETE USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
+
 CREATE POLICY "Users can view own sync log" ON budget_sync_log FOR SELECT USING (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
 CREATE POLICY "Users can insert own sync log" ON budget_sync_log FOR INSERT WITH CHECK (user_id IN (SELECT id FROM budget_users WHERE device_id = current_setting('app.device_id')));
 
@@ -124,4 +262,8 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_budget_transactions_updated_at BEFORE UPDATE ON budget_transactions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_budget_budgets_updated_at BEFORE UPDATE ON budget_budgets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_budget_settings_updated_at BEFORE UPDATE ON budget_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-CREATE TRIGGER update_budget_categories_updated_at BEFORE UPDATE ON budget_categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+CREATE TRIGGER update_budget_categories_updated_at BEFORE UPDATE ON budget_categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_budget_goals_updated_at BEFORE UPDATE ON budget_goals FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_budget_accounts_updated_at BEFORE UPDATE ON budget_accounts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_budget_rules_updated_at BEFORE UPDATE ON budget_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_budget_envelope_moves_updated_at BEFORE UPDATE ON budget_envelope_moves FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file